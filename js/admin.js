@@ -7,9 +7,33 @@
 
 const AdminApp = {
     // State
-    currentDate: new Date(),
+    currentDate: null, // Study day being shown, YYYY-MM-DD
     editingWordId: null,
     deletingWordId: null,
+    historyVersions: [],
+    viewingVersion: null,
+
+    // Time and word count of listed versions, loaded as their rows come into view
+    historyInfo: new Map(),
+    historyObserver: null,
+
+    // Version downloads for the list run one at a time
+    historyInfoQueue: Promise.resolve(),
+
+    // Last error toast, so repeated failures don't stack up
+    lastErrorToast: { type: null, shownAt: 0 },
+
+    // Resolves the open unlock prompt
+    unlockResolve: null,
+
+    // Ticks the session countdown while logged in
+    sessionTimer: null,
+
+    // Counts down a login lockout
+    lockoutTimer: null,
+
+    // When activity last extended the session
+    lastActivityAt: 0,
 
     // DOM Elements
     elements: {},
@@ -17,6 +41,27 @@ const AdminApp = {
     // Daily word limit
     DAILY_LIMIT: 5,
 
+    // Shortest admin password accepted
+    MIN_PASSWORD_LENGTH: 8,
+
+    // Write activity to the session at most this often
+    ACTIVITY_THROTTLE: 10 * 1000,
+
+    // Countdown turns red this close to the end of the session
+    SESSION_WARNING: 60 * 1000,
+
+    // Display names for word fields in the conflict dialog
+    FIELD_LABELS: {
+        date: 'Date',
+        english: 'English Word',
+        ipa: 'IPA Pronunciation',
+        context: 'Context',
+        meaning: 'English Meaning',
+        banglaMeanings: 'Bangla Meanings',
+        synonyms: 'Synonyms',
+        antonyms: 'Antonyms',
+    },
+
     // --------------------------------------------------------------------------
     // INITIALIZATION
     // --------------------------------------------------------------------------
@@ -27,12 +72,26 @@ const AdminApp = {
     async init() {
         console.log('Initializing Admin Panel...');
 
+        // Load the words and sync queue kept on this device
+        await StorageManager.init();
+        this.currentDate = DateUtils.today();
+
         this.cacheElements();
         this.bindEvents();
 
+        // Upgrade words cached by an older version of the app
+        await MigrationManager.migrateLocalData();
+
+        // Ask for the vault passphrase when a request needs the master key
+        ApiManager.unlockHandler = () => this.promptUnlock();
+
+        // Replay any writes left over from an offline session
+        ApiManager.initSync();
+
         // Check if already logged in
         if (StorageManager.isAdminLoggedIn()) {
             this.showDashboard();
+            this.startSessionTimer();
             await this.loadDashboardData();
         } else {
             this.showLogin();
@@ -48,13 +107,30 @@ const AdminApp = {
         this.elements = {
             // Login
             loginPage: document.getElementById('loginPage'),
+            loginTitle: document.getElementById('loginTitle'),
+            loginSubtitle: document.getElementById('loginSubtitle'),
             loginForm: document.getElementById('loginForm'),
             passwordInput: document.getElementById('passwordInput'),
             loginError: document.getElementById('loginError'),
+            forgotPasswordBtn: document.getElementById('forgotPasswordBtn'),
+
+            // First-run setup
+            setupForm: document.getElementById('setupForm'),
+            setupPasswordInput: document.getElementById('setupPasswordInput'),
+            setupConfirmInput: document.getElementById('setupConfirmInput'),
+
+            // Password recovery
+            recoverForm: document.getElementById('recoverForm'),
+            recoveryCodeInput: document.getElementById('recoveryCodeInput'),
+            recoverPasswordInput: document.getElementById('recoverPasswordInput'),
+            recoverConfirmInput: document.getElementById('recoverConfirmInput'),
+            backToLoginBtn: document.getElementById('backToLoginBtn'),
 
             // Dashboard
             adminDashboard: document.getElementById('adminDashboard'),
             logoutBtn: document.getElementById('logoutBtn'),
+            sessionTimer: document.getElementById('sessionTimer'),
+            sessionTimerText: document.getElementById('sessionTimerText'),
 
             // Date picker
             adminDatePicker: document.getElementById('adminDatePicker'),
@@ -66,6 +142,8 @@ const AdminApp = {
             totalWordsCount: document.getElementById('totalWordsCount'),
 
             // API Settings
+            adminBackend: document.getElementById('adminBackend'),
+            adminEndpoint: document.getElementById('adminEndpoint'),
             adminApiKey: document.getElementById('adminApiKey'),
             adminBinId: document.getElementById('adminBinId'),
             testApiBtn: document.getElementById('testApiBtn'),
@@ -73,6 +151,27 @@ const AdminApp = {
             adminApiStatus: document.getElementById('adminApiStatus'),
             adminApiStatusText: document.getElementById('adminApiStatusText'),
 
+            // Security
+            idleTimeoutSelect: document.getElementById('idleTimeoutSelect'),
+            dayStartSelect: document.getElementById('dayStartSelect'),
+            changePasswordForm: document.getElementById('changePasswordForm'),
+            currentPasswordInput: document.getElementById('currentPasswordInput'),
+            newPasswordInput: document.getElementById('newPasswordInput'),
+            confirmPasswordInput: document.getElementById('confirmPasswordInput'),
+            recoveryCodeStatus: document.getElementById('recoveryCodeStatus'),
+            regenerateCodesBtn: document.getElementById('regenerateCodesBtn'),
+            vaultStatus: document.getElementById('vaultStatus'),
+            vaultForm: document.getElementById('vaultForm'),
+            vaultPassphraseInput: document.getElementById('vaultPassphraseInput'),
+            vaultConfirmInput: document.getElementById('vaultConfirmInput'),
+            vaultActions: document.getElementById('vaultActions'),
+            lockVaultBtn: document.getElementById('lockVaultBtn'),
+            disableVaultBtn: document.getElementById('disableVaultBtn'),
+
+            // Sync indicator
+            syncIndicator: document.getElementById('syncIndicator'),
+            syncIndicatorText: document.getElementById('syncIndicatorText'),
+
             // Add word form
             addWordForm: document.getElementById('addWordForm'),
             englishWord: document.getElementById('englishWord'),
@@ -93,6 +192,19 @@ const AdminApp = {
             listDateLabel: document.getElementById('listDateLabel'),
             refreshListBtn: document.getElementById('refreshListBtn'),
 
+            // Version history
+            loadHistoryBtn: document.getElementById('loadHistoryBtn'),
+            historyEmpty: document.getElementById('historyEmpty'),
+            historyEmptyText: document.getElementById('historyEmptyText'),
+            historyList: document.getElementById('historyList'),
+            historyModal: document.getElementById('historyModal'),
+            historyModalTitle: document.getElementById('historyModalTitle'),
+            closeHistoryModal: document.getElementById('closeHistoryModal'),
+            historySummary: document.getElementById('historySummary'),
+            historyDiffList: document.getElementById('historyDiffList'),
+            restoreSelectedBtn: document.getElementById('restoreSelectedBtn'),
+            restoreVersionBtn: document.getElementById('restoreVersionBtn'),
+
             // Edit modal
             editModal: document.getElementById('editModal'),
             closeEditModal: document.getElementById('closeEditModal'),
@@ -115,6 +227,27 @@ const AdminApp = {
             cancelDeleteBtn: document.getElementById('cancelDeleteBtn'),
             confirmDeleteBtn: document.getElementById('confirmDeleteBtn'),
 
+            // Conflict modal
+            conflictModal: document.getElementById('conflictModal'),
+            closeConflictModal: document.getElementById('closeConflictModal'),
+            conflictList: document.getElementById('conflictList'),
+            resolveLaterBtn: document.getElementById('resolveLaterBtn'),
+
+            // Recovery codes modal
+            recoveryCodesModal: document.getElementById('recoveryCodesModal'),
+            recoveryCodeList: document.getElementById('recoveryCodeList'),
+            copyRecoveryCodesBtn: document.getElementById('copyRecoveryCodesBtn'),
+            closeRecoveryCodesBtn: document.getElementById('closeRecoveryCodesBtn'),
+
+            // Unlock modal
+            unlockModal: document.getElementById('unlockModal'),
+            unlockForm: document.getElementById('unlockForm'),
+            closeUnlockModal: document.getElementById('closeUnlockModal'),
+            unlockError: document.getElementById('unlockError'),
+            unlockPassphraseInput: document.getElementById('unlockPassphraseInput'),
+            cancelUnlockBtn: document.getElementById('cancelUnlockBtn'),
+            confirmUnlockBtn: document.getElementById('confirmUnlockBtn'),
+
             // Toast
             toastContainer: document.getElementById('toastContainer'),
         };
@@ -125,37 +258,85 @@ const AdminApp = {
      */
     bindEvents() {
         const {
-            loginForm, logoutBtn,
-            adminDatePicker, adminPrevDate, adminNextDate,
-            testApiBtn, saveApiBtn,
+            loginForm, setupForm, recoverForm, forgotPasswordBtn, backToLoginBtn, logoutBtn,
+            idleTimeoutSelect, changePasswordForm, regenerateCodesBtn, vaultForm, lockVaultBtn, disableVaultBtn,
+            recoveryCodesModal, copyRecoveryCodesBtn, closeRecoveryCodesBtn,
+            unlockModal, unlockForm, closeUnlockModal, cancelUnlockBtn,
+            adminDatePicker, adminPrevDate, adminNextDate, dayStartSelect,
+            testApiBtn, saveApiBtn, adminBackend,
             addWordForm, clearFormBtn,
             refreshListBtn,
+            loadHistoryBtn, closeHistoryModal, restoreSelectedBtn, restoreVersionBtn, historyModal,
             closeEditModal, cancelEditBtn, saveEditBtn,
             closeDeleteModal, cancelDeleteBtn, confirmDeleteBtn,
-            editModal, deleteModal
+            closeConflictModal, resolveLaterBtn, conflictModal,
+            editModal, deleteModal, syncIndicator
         } = this.elements;
 
         // Login
         loginForm?.addEventListener('submit', (e) => this.handleLogin(e));
+        setupForm?.addEventListener('submit', (e) => this.handleSetup(e));
+        recoverForm?.addEventListener('submit', (e) => this.handleRecover(e));
+        forgotPasswordBtn?.addEventListener('click', () => this.setLoginMode('recover'));
+        backToLoginBtn?.addEventListener('click', () => this.setLoginMode('login'));
 
         // Logout
         logoutBtn?.addEventListener('click', () => this.handleLogout());
 
+        // Session activity. Captured before other handlers so nothing runs on an expired session.
+        ['click', 'keydown', 'submit'].forEach(type => {
+            document.addEventListener(type, (e) => this.recordActivity(e), true);
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.updateSessionTimer();
+        });
+
         // Date navigation
         adminDatePicker?.addEventListener('change', (e) => this.handleDateChange(e.target.value));
         adminPrevDate?.addEventListener('click', () => this.navigateDate(-1));
         adminNextDate?.addEventListener('click', () => this.navigateDate(1));
 
         // API settings
+        adminBackend?.addEventListener('change', (e) => this.updateBackendFields(e.target.value));
         testApiBtn?.addEventListener('click', () => this.testApiConnection());
         saveApiBtn?.addEventListener('click', () => this.saveApiSettings());
 
+        // Security
+        idleTimeoutSelect?.addEventListener('change', (e) => this.saveIdleTimeout(e.target.value));
+        dayStartSelect?.addEventListener('change', (e) => this.saveDayStartHour(e.target.value));
+        changePasswordForm?.addEventListener('submit', (e) => this.handleChangePassword(e));
+        regenerateCodesBtn?.addEventListener('click', () => this.regenerateRecoveryCodes());
+        vaultForm?.addEventListener('submit', (e) => this.handleEnableVault(e));
+        lockVaultBtn?.addEventListener('click', () => this.toggleVaultLock());
+        disableVaultBtn?.addEventListener('click', () => this.disableVault());
+
+        // Recovery codes modal
+        copyRecoveryCodesBtn?.addEventListener('click', () => this.copyRecoveryCodes());
+        closeRecoveryCodesBtn?.addEventListener('click', () => this.closeRecoveryCodesModal());
+
+        // Unlock modal
+        unlockForm?.addEventListener('submit', (e) => this.handleUnlock(e));
+        closeUnlockModal?.addEventListener('click', () => this.closeUnlockModal(false));
+        cancelUnlockBtn?.addEventListener('click', () => this.closeUnlockModal(false));
+        unlockModal?.addEventListener('click', (e) => {
+            if (e.target === unlockModal) this.closeUnlockModal(false);
+        });
+
         // Add word form
         addWordForm?.addEventListener('submit', (e) => this.handleAddWord(e));
         clearFormBtn?.addEventListener('click', () => this.clearForm());
 
         // Refresh list
-        refreshListBtn?.addEventListener('click', () => this.loadWordList());
+        refreshListBtn?.addEventListener('click', () => this.refreshWordList());
+
+        // Version history
+        loadHistoryBtn?.addEventListener('click', () => this.loadHistory());
+        closeHistoryModal?.addEventListener('click', () => this.closeHistoryModal());
+        restoreSelectedBtn?.addEventListener('click', () => this.restoreSelectedWords());
+        restoreVersionBtn?.addEventListener('click', () => this.restoreEntireVersion());
+        historyModal?.addEventListener('click', (e) => {
+            if (e.target === historyModal) this.closeHistoryModal();
+        });
 
         // Edit modal
         closeEditModal?.addEventListener('click', () => this.closeEditModal());
@@ -173,11 +354,32 @@ const AdminApp = {
             if (e.target === deleteModal) this.closeDeleteModal();
         });
 
+        // Conflict modal
+        closeConflictModal?.addEventListener('click', () => this.closeConflictModal());
+        resolveLaterBtn?.addEventListener('click', () => this.closeConflictModal());
+        conflictModal?.addEventListener('click', (e) => {
+            if (e.target === conflictModal) this.closeConflictModal();
+        });
+        window.addEventListener('syncconflict', () => {
+            if (StorageManager.isAdminLoggedIn()) this.openConflictModal();
+        });
+
+        // Pending sync indicator
+        window.addEventListener('syncqueuechange', (e) => this.updateSyncIndicator(e.detail.pending));
+        syncIndicator?.addEventListener('click', () => this.retrySync());
+
+        // Cloud errors from background loads and syncs
+        window.addEventListener('apierror', (e) => {
+            if (StorageManager.isAdminLoggedIn()) this.handleApiError(e.detail.error);
+        });
+
+        // Device storage refusing writes
+        window.addEventListener('storageerror', (e) => this.handleStorageError(e.detail));
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
-                this.closeEditModal();
-                this.closeDeleteModal();
+                this.closeAllModals();
             }
         });
     },
@@ -187,12 +389,14 @@ const AdminApp = {
     // --------------------------------------------------------------------------
 
     /**
-     * Show login page
+     * Show login page, or the setup form if no password has been set yet
      */
     showLogin() {
         const { loginPage, adminDashboard } = this.elements;
         loginPage && (loginPage.style.display = 'flex');
         adminDashboard && (adminDashboard.style.display = 'none');
+
+        this.setLoginMode(StorageManager.hasAdminPassword() ? 'login' : 'setup');
     },
 
     /**
@@ -204,25 +408,242 @@ const AdminApp = {
         adminDashboard && (adminDashboard.style.display = 'flex');
     },
 
+    /**
+     * Switch the login card between its forms
+     * @param {string} mode - 'login', 'setup' or 'recover'
+     */
+    setLoginMode(mode) {
+        const { loginTitle, loginSubtitle, loginForm, setupForm, recoverForm, loginError } = this.elements;
+        const copy = {
+            login: ['Admin Access', 'Enter password to manage flashcards'],
+            setup: ['Set Admin Password', 'Choose a password to protect the admin panel'],
+            recover: ['Reset Password', 'Enter one of your recovery codes and a new password'],
+        };
+
+        loginTitle && (loginTitle.textContent = copy[mode][0]);
+        loginSubtitle && (loginSubtitle.textContent = copy[mode][1]);
+        loginForm && (loginForm.style.display = mode === 'login' ? '' : 'none');
+        setupForm && (setupForm.style.display = mode === 'setup' ? '' : 'none');
+        recoverForm && (recoverForm.style.display = mode === 'recover' ? '' : 'none');
+        loginError?.classList.remove('show');
+
+        const form = { login: loginForm, setup: setupForm, recover: recoverForm }[mode];
+        form?.reset();
+        form?.querySelector('input')?.focus();
+
+        if (StorageManager.getLoginLockout() > 0) this.showLockout();
+    },
+
+    /**
+     * Show a message above the login forms
+     * @param {string} message
+     */
+    showLoginError(message) {
+        const { loginError } = this.elements;
+        if (!loginError) return;
+
+        loginError.textContent = message;
+        loginError.classList.add('show');
+    },
+
+    /**
+     * Disable a form's submit button while its password is hashed
+     * @param {HTMLFormElement} form
+     * @param {boolean} busy
+     */
+    setFormBusy(form, busy) {
+        const button = form?.querySelector('button[type="submit"]');
+        button && (button.disabled = busy);
+    },
+
+    /**
+     * Check a new password and its confirmation
+     * @param {string} password
+     * @param {string} confirm
+     * @param {string} label - What the error messages call it
+     * @returns {string|null} - Error message, or null if the password is acceptable
+     */
+    validateNewPassword(password, confirm, label = 'Password') {
+        if (!password || password.length < this.MIN_PASSWORD_LENGTH) {
+            return `${label} must be at least ${this.MIN_PASSWORD_LENGTH} characters`;
+        }
+        if (password !== confirm) {
+            return `${label}s do not match`;
+        }
+        return null;
+    },
+
+    /**
+     * Log in and open the dashboard
+     */
+    enterDashboard() {
+        StorageManager.clearFailedLogins();
+        StorageManager.setAdminLoggedIn(true);
+        this.elements.loginError?.classList.remove('show');
+        this.showDashboard();
+        this.startSessionTimer();
+        this.loadDashboardData();
+    },
+
+    /**
+     * Count a wrong password or recovery code, locking logins after too many
+     * @param {string} message - Shown if no lockout starts
+     */
+    handleFailedLogin(message) {
+        if (StorageManager.recordFailedLogin() > 0) {
+            this.showLockout();
+        } else {
+            this.showLoginError(message);
+        }
+    },
+
+    /**
+     * Block the login forms until the lockout ends, counting down the wait
+     */
+    showLockout() {
+        const { loginForm, recoverForm, loginError } = this.elements;
+
+        const tick = () => {
+            const remaining = StorageManager.getLoginLockout();
+            [loginForm, recoverForm].forEach(form => {
+                const button = form?.querySelector('button[type="submit"]');
+                button && (button.disabled = remaining > 0);
+            });
+
+            if (remaining > 0) {
+                this.showLoginError(`Too many failed attempts. Try again in ${this.formatCountdown(remaining)}.`);
+            } else {
+                clearInterval(this.lockoutTimer);
+                this.lockoutTimer = null;
+                loginError?.classList.remove('show');
+            }
+        };
+
+        clearInterval(this.lockoutTimer);
+        this.lockoutTimer = setInterval(tick, 1000);
+        tick();
+    },
+
     /**
      * Handle login form submission
      * @param {Event} e
      */
-    handleLogin(e) {
+    async handleLogin(e) {
         e.preventDefault();
 
-        const { passwordInput, loginError } = this.elements;
+        const { loginForm, passwordInput } = this.elements;
         const password = passwordInput?.value;
 
-        if (StorageManager.verifyPassword(password)) {
-            StorageManager.setAdminLoggedIn(true);
-            loginError?.classList.remove('show');
-            this.showDashboard();
-            this.loadDashboardData();
+        if (StorageManager.getLoginLockout() > 0) {
+            this.showLockout();
+            return;
+        }
+
+        this.setFormBusy(loginForm, true);
+        let valid = false;
+        try {
+            valid = await StorageManager.verifyPassword(password);
+        } catch (error) {
+            console.error('Login failed:', error);
+            this.showLoginError('Could not check the password in this browser.');
+            return;
+        } finally {
+            this.setFormBusy(loginForm, false);
+        }
+
+        if (valid) {
+            passwordInput && (passwordInput.value = '');
+            this.enterDashboard();
         } else {
-            loginError?.classList.add('show');
-            passwordInput?.focus();
+            this.handleFailedLogin('Invalid password. Please try again.');
+            passwordInput?.select();
+        }
+    },
+
+    /**
+     * Handle first-run password setup
+     * @param {Event} e
+     */
+    async handleSetup(e) {
+        e.preventDefault();
+
+        const { setupForm, setupPasswordInput, setupConfirmInput } = this.elements;
+
+        // Never let this form replace a password that already exists
+        if (StorageManager.hasAdminPassword()) {
+            this.setLoginMode('login');
+            return;
+        }
+
+        const password = setupPasswordInput?.value;
+        const problem = this.validateNewPassword(password, setupConfirmInput?.value);
+        if (problem) {
+            this.showLoginError(problem);
+            return;
+        }
+
+        this.setFormBusy(setupForm, true);
+        try {
+            await StorageManager.setAdminPassword(password);
+            const codes = await StorageManager.generateRecoveryCodes();
+            setupForm?.reset();
+            this.enterDashboard();
+            this.openRecoveryCodesModal(codes);
+        } catch (error) {
+            console.error('Failed to set password:', error);
+            this.showLoginError('Could not save the password in this browser.');
+        } finally {
+            this.setFormBusy(setupForm, false);
+        }
+    },
+
+    /**
+     * Handle password reset with a recovery code
+     * @param {Event} e
+     */
+    async handleRecover(e) {
+        e.preventDefault();
+
+        const { recoverForm, recoveryCodeInput, recoverPasswordInput, recoverConfirmInput } = this.elements;
+        const password = recoverPasswordInput?.value;
+
+        if (StorageManager.getLoginLockout() > 0) {
+            this.showLockout();
+            return;
+        }
+
+        const problem = this.validateNewPassword(password, recoverConfirmInput?.value);
+        if (problem) {
+            this.showLoginError(problem);
+            return;
         }
+
+        this.setFormBusy(recoverForm, true);
+        let valid = false;
+        try {
+            valid = await StorageManager.useRecoveryCode(recoveryCodeInput?.value);
+            if (valid) {
+                await StorageManager.setAdminPassword(password);
+            }
+        } catch (error) {
+            console.error('Failed to reset password:', error);
+            this.showLoginError('Could not reset the password in this browser.');
+            return;
+        } finally {
+            this.setFormBusy(recoverForm, false);
+        }
+
+        if (!valid) {
+            this.handleFailedLogin('That recovery code is not valid or has already been used.');
+            recoveryCodeInput?.select();
+            return;
+        }
+
+        recoverForm?.reset();
+        this.enterDashboard();
+
+        const remaining = StorageManager.getRecoveryCodeCount();
+        this.showToast(`Password reset. ${remaining} recovery code${remaining === 1 ? '' : 's'} left.`, 'success');
     },
 
     /**
@@ -230,8 +651,368 @@ const AdminApp = {
      */
     handleLogout() {
         StorageManager.setAdminLoggedIn(false);
+        StorageManager.lockVault();
+        ApiManager.invalidateCache();
+        this.stopSessionTimer();
+        this.closeAllModals();
         this.showLogin();
-        this.elements.passwordInput && (this.elements.passwordInput.value = '');
+    },
+
+    // --------------------------------------------------------------------------
+    // SESSION
+    // --------------------------------------------------------------------------
+
+    /**
+     * Start the session countdown in the header
+     */
+    startSessionTimer() {
+        this.stopSessionTimer();
+        this.sessionTimer = setInterval(() => this.updateSessionTimer(), 1000);
+        this.updateSessionTimer();
+    },
+
+    /**
+     * Stop the session countdown
+     */
+    stopSessionTimer() {
+        clearInterval(this.sessionTimer);
+        this.sessionTimer = null;
+    },
+
+    /**
+     * Show how long the session has left, logging out once it is over
+     * @returns {boolean} - false if the session has expired
+     */
+    updateSessionTimer() {
+        if (!this.sessionTimer) return true;
+
+        const session = StorageManager.getAdminSession();
+        if (!session) {
+            this.expireSession();
+            return false;
+        }
+
+        const { sessionTimer, sessionTimerText } = this.elements;
+        const remaining = session.expiresAt - Date.now();
+        sessionTimerText && (sessionTimerText.textContent = `Expires in ${this.formatCountdown(remaining)}`);
+        sessionTimer?.classList.toggle('expiring', remaining <= this.SESSION_WARNING);
+        return true;
+    },
+
+    /**
+     * Extend the session on user activity, or stop the event if it has already expired
+     * @param {Event} e
+     */
+    recordActivity(e) {
+        if (!this.sessionTimer) return;
+
+        if (!this.updateSessionTimer()) {
+            e.preventDefault();
+            e.stopPropagation();
+            return;
+        }
+
+        if (Date.now() - this.lastActivityAt >= this.ACTIVITY_THROTTLE) {
+            this.lastActivityAt = Date.now();
+            StorageManager.touchAdminSession();
+        }
+    },
+
+    /**
+     * Return to the login page after the session runs out
+     */
+    expireSession() {
+        this.handleLogout();
+        this.showLoginError('Your session expired. Please log in again.');
+    },
+
+    /**
+     * Save how long the admin can be idle before being logged out
+     * @param {string} minutes
+     */
+    saveIdleTimeout(minutes) {
+        StorageManager.saveAdminSessionSettings({ idleMinutes: parseInt(minutes, 10) });
+        StorageManager.touchAdminSession();
+        this.updateSessionTimer();
+        this.showToast('Idle timeout saved', 'success');
+    },
+
+    // --------------------------------------------------------------------------
+    // SECURITY SETTINGS
+    // --------------------------------------------------------------------------
+
+    /**
+     * Handle change password form submission
+     * @param {Event} e
+     */
+    async handleChangePassword(e) {
+        e.preventDefault();
+
+        const { changePasswordForm, currentPasswordInput, newPasswordInput, confirmPasswordInput } = this.elements;
+        const password = newPasswordInput?.value;
+
+        const problem = this.validateNewPassword(password, confirmPasswordInput?.value);
+        if (problem) {
+            this.showToast(problem, 'error');
+            return;
+        }
+
+        this.setFormBusy(changePasswordForm, true);
+        try {
+            if (!(await StorageManager.verifyPassword(currentPasswordInput?.value))) {
+                this.showToast('Current password is incorrect', 'error');
+                currentPasswordInput?.select();
+                return;
+            }
+
+            await StorageManager.setAdminPassword(password);
+            changePasswordForm?.reset();
+            this.showToast('Password changed', 'success');
+        } catch (error) {
+            console.error('Failed to change password:', error);
+            this.showToast('Failed to change password', 'error');
+        } finally {
+            this.setFormBusy(changePasswordForm, false);
+        }
+    },
+
+    /**
+     * Show how many recovery codes are left
+     */
+    updateRecoveryCodeStatus() {
+        const { recoveryCodeStatus } = this.elements;
+        if (!recoveryCodeStatus) return;
+
+        const count = StorageManager.getRecoveryCodeCount();
+        recoveryCodeStatus.textContent = count > 0
+            ? `${count} unused code${count === 1 ? '' : 's'}. Each one resets the password once.`
+            : 'No codes left. Generate new ones so you can reset a forgotten password.';
+    },
+
+    /**
+     * Replace all recovery codes with a fresh set
+     */
+    async regenerateRecoveryCodes() {
+        const { regenerateCodesBtn } = this.elements;
+
+        regenerateCodesBtn && (regenerateCodesBtn.disabled = true);
+        try {
+            const codes = await StorageManager.generateRecoveryCodes();
+            this.openRecoveryCodesModal(codes);
+        } catch (error) {
+            console.error('Failed to generate recovery codes:', error);
+            this.showToast('Failed to generate recovery codes', 'error');
+        } finally {
+            regenerateCodesBtn && (regenerateCodesBtn.disabled = false);
+        }
+    },
+
+    // --------------------------------------------------------------------------
+    // RECOVERY CODES MODAL
+    // --------------------------------------------------------------------------
+
+    /**
+     * Show newly issued recovery codes
+     * @param {Array<string>} codes
+     */
+    openRecoveryCodesModal(codes) {
+        const { recoveryCodesModal, recoveryCodeList } = this.elements;
+        if (!recoveryCodesModal || !recoveryCodeList) return;
+
+        recoveryCodeList.innerHTML = codes.map(code => `<li>${code}</li>`).join('');
+        recoveryCodesModal.classList.add('active');
+        this.updateRecoveryCodeStatus();
+    },
+
+    /**
+     * Close recovery codes modal, dropping the codes from the page
+     */
+    closeRecoveryCodesModal() {
+        const { recoveryCodesModal, recoveryCodeList } = this.elements;
+        recoveryCodesModal?.classList.remove('active');
+        recoveryCodeList && (recoveryCodeList.innerHTML = '');
+    },
+
+    /**
+     * Copy the shown recovery codes to the clipboard
+     */
+    async copyRecoveryCodes() {
+        const { recoveryCodeList } = this.elements;
+        const codes = Array.from(recoveryCodeList?.querySelectorAll('li') || [], item => item.textContent);
+
+        try {
+            await navigator.clipboard.writeText(codes.join('\n'));
+            this.showToast('Recovery codes copied', 'success');
+        } catch (error) {
+            console.error('Failed to copy recovery codes:', error);
+            this.showToast('Could not copy. Please write the codes down.', 'error');
+        }
+    },
+
+    // --------------------------------------------------------------------------
+    // CREDENTIAL VAULT
+    // --------------------------------------------------------------------------
+
+    /**
+     * Show whether the master key is encrypted and unlocked
+     */
+    updateVaultStatus() {
+        const { vaultStatus, vaultForm, vaultActions, lockVaultBtn } = this.elements;
+        const enabled = StorageManager.isVaultEnabled();
+        const locked = StorageManager.isVaultLocked();
+
+        if (vaultStatus) {
+            if (!enabled) {
+                vaultStatus.textContent = 'Stored unencrypted on this device. Add a passphrase to encrypt it.';
+            } else {
+                vaultStatus.textContent = locked
+                    ? 'Encrypted and locked'
+                    : 'Encrypted, unlocked until you log out';
+            }
+        }
+        vaultForm && (vaultForm.style.display = enabled ? 'none' : '');
+        vaultActions && (vaultActions.style.display = enabled ? 'flex' : 'none');
+        lockVaultBtn && (lockVaultBtn.textContent = locked ? 'Unlock' : 'Lock Now');
+    },
+
+    /**
+     * Handle vault passphrase form submission
+     * @param {Event} e
+     */
+    async handleEnableVault(e) {
+        e.preventDefault();
+
+        const { vaultForm, vaultPassphraseInput, vaultConfirmInput } = this.elements;
+        const passphrase = vaultPassphraseInput?.value;
+
+        const problem = this.validateNewPassword(passphrase, vaultConfirmInput?.value, 'Passphrase');
+        if (problem) {
+            this.showToast(problem, 'error');
+            return;
+        }
+
+        this.setFormBusy(vaultForm, true);
+        try {
+            if (await StorageManager.enableVault(passphrase)) {
+                vaultForm?.reset();
+                this.showToast('Master key encrypted', 'success');
+            } else {
+                this.showToast('Failed to encrypt the master key', 'error');
+            }
+        } finally {
+            this.setFormBusy(vaultForm, false);
+            this.updateVaultStatus();
+        }
+    },
+
+    /**
+     * Lock the vault now, or unlock it if it is locked
+     */
+    async toggleVaultLock() {
+        if (!StorageManager.isVaultLocked()) {
+            StorageManager.lockVault();
+            ApiManager.invalidateCache();
+            this.loadApiSettings();
+            this.updateVaultStatus();
+            this.showToast('Master key locked', 'success');
+            return;
+        }
+
+        try {
+            await ApiManager.unlockCredentials();
+        } catch (error) {
+            // Cancelled: nothing to do
+        }
+    },
+
+    /**
+     * Store the master key unencrypted again
+     */
+    async disableVault() {
+        try {
+            await ApiManager.unlockCredentials();
+        } catch (error) {
+            return;
+        }
+
+        if (StorageManager.disableVault()) {
+            this.loadApiSettings();
+            this.showToast('Master key is no longer encrypted', 'success');
+        } else {
+            this.showToast('Failed to turn off encryption', 'error');
+        }
+        this.updateVaultStatus();
+    },
+
+    // --------------------------------------------------------------------------
+    // UNLOCK MODAL
+    // --------------------------------------------------------------------------
+
+    /**
+     * Ask for the vault passphrase
+     * @returns {Promise<boolean>} - true once the vault is unlocked
+     */
+    promptUnlock() {
+        const { unlockModal, unlockError, unlockPassphraseInput } = this.elements;
+
+        // Background syncs on the login page wait until the admin is in
+        if (!StorageManager.isAdminLoggedIn() || !unlockModal) {
+            return Promise.resolve(false);
+        }
+
+        unlockError?.classList.remove('show');
+        unlockPassphraseInput && (unlockPassphraseInput.value = '');
+        unlockModal.classList.add('active');
+        unlockPassphraseInput?.focus();
+
+        return new Promise(resolve => {
+            this.unlockResolve = resolve;
+        });
+    },
+
+    /**
+     * Handle unlock form submission
+     * @param {Event} e
+     */
+    async handleUnlock(e) {
+        e.preventDefault();
+
+        const { unlockForm, unlockError, unlockPassphraseInput, adminApiKey } = this.elements;
+
+        this.setFormBusy(unlockForm, true);
+        const unlocked = await StorageManager.unlockVault(unlockPassphraseInput?.value);
+        this.setFormBusy(unlockForm, false);
+
+        if (!unlocked) {
+            unlockError?.classList.add('show');
+            unlockPassphraseInput?.select();
+            return;
+        }
+
+        // Fill in the key without discarding anything typed while it was locked
+        if (adminApiKey && !adminApiKey.value) {
+            adminApiKey.value = StorageManager.getApiCredentials().apiKey;
+        }
+        this.closeUnlockModal(true);
+        this.updateVaultStatus();
+
+        // Changes made while locked can go out now
+        ApiManager.processQueue();
+    },
+
+    /**
+     * Close unlock modal
+     * @param {boolean} unlocked - Passed to whoever asked for the unlock
+     */
+    closeUnlockModal(unlocked) {
+        const { unlockModal, unlockPassphraseInput } = this.elements;
+        unlockModal?.classList.remove('active');
+        unlockPassphraseInput && (unlockPassphraseInput.value = '');
+
+        if (this.unlockResolve) {
+            this.unlockResolve(unlocked);
+            this.unlockResolve = null;
+        }
     },
 
     // --------------------------------------------------------------------------
@@ -243,7 +1024,8 @@ const AdminApp = {
      */
     async loadDashboardData() {
         // Set date picker to today
-        const today = this.getDateString(new Date());
+        const today = DateUtils.today();
+        this.currentDate = today;
         if (this.elements.adminDatePicker) {
             this.elements.adminDatePicker.value = today;
             this.elements.adminDatePicker.max = today;
@@ -251,23 +1033,42 @@ const AdminApp = {
 
         // Load API settings
         this.loadApiSettings();
+        this.updateRecoveryCodeStatus();
+        this.updateVaultStatus();
+        if (this.elements.idleTimeoutSelect) {
+            this.elements.idleTimeoutSelect.value = StorageManager.getAdminSessionSettings().idleMinutes;
+        }
+        if (this.elements.dayStartSelect) {
+            this.elements.dayStartSelect.value = StorageManager.getDayStartHour();
+        }
 
         // Update stats and word list
         await this.updateStats();
         await this.loadWordList();
+
+        // Surface conflicts left over from an earlier sync
+        if (StorageManager.getSyncConflicts().length > 0) {
+            this.openConflictModal();
+        }
     },
 
     /**
      * Load API settings into form
      */
     loadApiSettings() {
-        const { adminApiKey, adminBinId } = this.elements;
-        const { apiKey, binId } = StorageManager.getApiCredentials();
-
-        if (adminApiKey) adminApiKey.value = apiKey;
+        const { adminBackend, adminEndpoint, adminApiKey, adminBinId } = this.elements;
+        const { backend, apiKey, binId, endpoint, locked } = StorageManager.getApiCredentials();
+
+        if (adminBackend) adminBackend.value = backend;
+        if (adminEndpoint) adminEndpoint.value = endpoint;
+        if (adminApiKey) {
+            adminApiKey.value = apiKey;
+            adminApiKey.placeholder = locked ? 'Locked: unlock to view or change' : 'Enter master key';
+        }
         if (adminBinId) adminBinId.value = binId;
 
-        this.updateApiStatus(!!apiKey && !!binId);
+        this.updateBackendFields(backend);
+        this.updateApiStatus(ApiManager.isConfigured());
     },
 
     /**
@@ -276,7 +1077,7 @@ const AdminApp = {
     async updateStats() {
         const { todayWordsCount, totalWordsCount, wordsAddedToday, wordCountIndicator } = this.elements;
 
-        const today = this.getDateString(this.currentDate);
+        const today = this.currentDate;
         const todayCount = await ApiManager.getWordCountForDate(today);
         const totalCount = await ApiManager.getTotalWordCount();
 
@@ -300,13 +1101,7 @@ const AdminApp = {
         const { listDateLabel } = this.elements;
         if (!listDateLabel) return;
 
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        const current = new Date(this.currentDate);
-        current.setHours(0, 0, 0, 0);
-
-        if (current.getTime() === today.getTime()) {
+        if (DateUtils.isToday(this.currentDate)) {
             listDateLabel.textContent = 'Today';
         } else {
             listDateLabel.textContent = this.formatDateDisplay(this.currentDate);
@@ -322,7 +1117,7 @@ const AdminApp = {
      * @param {string} dateString
      */
     handleDateChange(dateString) {
-        this.currentDate = new Date(dateString + 'T00:00:00');
+        this.currentDate = dateString;
         this.updateStats();
         this.loadWordList();
     },
@@ -332,44 +1127,85 @@ const AdminApp = {
      * @param {number} direction
      */
     navigateDate(direction) {
-        const newDate = new Date(this.currentDate);
-        newDate.setDate(newDate.getDate() + direction);
+        const newDate = DateUtils.addDays(this.currentDate, direction);
 
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        if (newDate > DateUtils.today()) return;
+
+        this.currentDate = newDate;
+
+        if (this.elements.adminDatePicker) {
+            this.elements.adminDatePicker.value = newDate;
+        }
+
+        this.updateStats();
+        this.loadWordList();
+    },
 
-        if (newDate > today) return;
+    /**
+     * Save the hour a new study day begins, moving to the new today if it changed
+     * @param {string} hour
+     */
+    saveDayStartHour(hour) {
+        const wasToday = DateUtils.isToday(this.currentDate);
+        StorageManager.saveDayStartHour(hour);
 
-        this.currentDate = newDate;
+        const today = DateUtils.today();
+        if (wasToday) this.currentDate = today;
 
         if (this.elements.adminDatePicker) {
-            this.elements.adminDatePicker.value = this.getDateString(newDate);
+            this.elements.adminDatePicker.value = this.currentDate;
+            this.elements.adminDatePicker.max = today;
         }
 
         this.updateStats();
         this.loadWordList();
+        this.showToast('Study day setting saved', 'success');
     },
 
     // --------------------------------------------------------------------------
     // API SETTINGS
     // --------------------------------------------------------------------------
 
+    /**
+     * Show only the settings fields the selected backend uses
+     * @param {string} backendId
+     */
+    updateBackendFields(backendId) {
+        document.querySelectorAll('.settings-section [data-backends]').forEach(el => {
+            el.style.display = el.dataset.backends.split(' ').includes(backendId) ? '' : 'none';
+        });
+    },
+
+    /**
+     * Read backend settings from the form
+     * @returns {Object} - { backend, apiKey, binId, endpoint }
+     */
+    getApiFormValues() {
+        const { adminBackend, adminEndpoint, adminApiKey, adminBinId } = this.elements;
+
+        return {
+            backend: adminBackend?.value || StorageBackends.DEFAULT,
+            apiKey: adminApiKey?.value?.trim() || '',
+            binId: adminBinId?.value?.trim() || '',
+            endpoint: adminEndpoint?.value?.trim() || '',
+        };
+    },
+
     /**
      * Test API connection
      */
     async testApiConnection() {
-        const { adminApiKey, adminBinId, testApiBtn } = this.elements;
+        const { testApiBtn } = this.elements;
+        const config = this.getApiFormValues();
+        const backend = StorageBackends.get(config.backend);
 
-        const apiKey = adminApiKey?.value?.trim();
-        const binId = adminBinId?.value?.trim();
-
-        if (!apiKey || !binId) {
-            this.showToast('Please enter API key and Bin ID', 'error');
+        if (!backend.isConfigured(config)) {
+            this.showToast(`Please fill in the ${backend.label} settings`, 'error');
             return;
         }
 
         // Temporarily save for testing
-        StorageManager.saveApiCredentials(apiKey, binId);
+        if (!(await this.storeApiCredentials(config))) return;
 
         testApiBtn.disabled = true;
         testApiBtn.textContent = 'Testing...';
@@ -384,26 +1220,44 @@ const AdminApp = {
         if (success) {
             this.showToast('Connection successful!', 'success');
         } else {
-            this.showToast('Connection failed. Check credentials.', 'error');
+            this.showErrorToast(ApiManager.lastError, 'Connection failed. Check credentials.');
         }
     },
 
     /**
-     * Save API settings
+     * Save form credentials, unlocking the vault first if they go into it
+     * @param {Object} config - { backend, apiKey, binId, endpoint }
+     * @returns {Promise<boolean>}
      */
-    saveApiSettings() {
-        const { adminApiKey, adminBinId } = this.elements;
+    async storeApiCredentials(config) {
+        try {
+            await ApiManager.unlockCredentials();
+        } catch (error) {
+            this.showErrorToast(error, 'Unlock the master key first');
+            return false;
+        }
+
+        if (!(await StorageManager.saveApiCredentials(config.apiKey, config.binId, config.backend, config.endpoint))) {
+            this.showToast('Failed to save settings', 'error');
+            return false;
+        }
+        return true;
+    },
 
-        const apiKey = adminApiKey?.value?.trim();
-        const binId = adminBinId?.value?.trim();
+    /**
+     * Save API settings
+     */
+    async saveApiSettings() {
+        const config = this.getApiFormValues();
+        const backend = StorageBackends.get(config.backend);
 
-        if (apiKey && binId) {
-            StorageManager.saveApiCredentials(apiKey, binId);
+        if (backend.isConfigured(config)) {
+            if (!(await this.storeApiCredentials(config))) return;
             this.updateApiStatus(true);
             this.showToast('Settings saved!', 'success');
             this.loadWordList();
         } else {
-            this.showToast('Please enter both API key and Bin ID', 'error');
+            this.showToast(`Please fill in the ${backend.label} settings`, 'error');
         }
     },
 
@@ -422,6 +1276,35 @@ const AdminApp = {
         }
     },
 
+    /**
+     * Show how many changes are waiting to be synced
+     * @param {number} pending
+     */
+    updateSyncIndicator(pending) {
+        const { syncIndicator, syncIndicatorText } = this.elements;
+        if (!syncIndicator) return;
+
+        syncIndicator.style.display = pending > 0 ? 'flex' : 'none';
+        if (syncIndicatorText) {
+            syncIndicatorText.textContent = `${pending} ${pending === 1 ? 'change' : 'changes'} pending sync`;
+        }
+    },
+
+    /**
+     * Retry pushing queued changes on demand
+     */
+    async retrySync() {
+        const synced = await ApiManager.processQueue();
+
+        if (synced) {
+            this.showToast('All changes synced!', 'success');
+            await this.updateStats();
+            await this.loadWordList();
+        } else {
+            this.showToast('Still offline. Changes will sync automatically.', 'info');
+        }
+    },
+
     // --------------------------------------------------------------------------
     // WORD MANAGEMENT
     // --------------------------------------------------------------------------
@@ -446,7 +1329,7 @@ const AdminApp = {
         }
 
         // Check daily limit
-        const today = this.getDateString(this.currentDate);
+        const today = this.currentDate;
         const isLimitReached = await ApiManager.isDailyLimitReached(today, this.DAILY_LIMIT);
 
         if (isLimitReached) {
@@ -472,14 +1355,14 @@ const AdminApp = {
 
             await ApiManager.addWord(wordData);
 
-            this.showToast('Word added successfully!', 'success');
+            this.showSavedToast('Word added successfully!');
             this.clearForm();
             await this.updateStats();
             await this.loadWordList();
 
         } catch (error) {
             console.error('Failed to add word:', error);
-            this.showToast('Failed to add word. Please try again.', 'error');
+            this.showErrorToast(error, 'Failed to add word. Please try again.');
         }
 
         addWordBtn.disabled = false;
@@ -506,6 +1389,15 @@ const AdminApp = {
         englishWord?.focus();
     },
 
+    /**
+     * Re-fetch words from the backend, ignoring the cache
+     */
+    async refreshWordList() {
+        await ApiManager.fetchAllWords({ force: true });
+        await this.updateStats();
+        await this.loadWordList();
+    },
+
     /**
      * Load word list for current date
      */
@@ -513,8 +1405,7 @@ const AdminApp = {
         const { wordList, wordListEmpty } = this.elements;
         if (!wordList) return;
 
-        const dateString = this.getDateString(this.currentDate);
-        const words = await ApiManager.fetchWordsByDate(dateString);
+        const words = await ApiManager.fetchWordsByDate(this.currentDate);
 
         if (words.length === 0) {
             wordList.innerHTML = '';
@@ -546,9 +1437,9 @@ const AdminApp = {
       <div class="word-item">
         <div class="word-number">${word.wordNumber || '?'}</div>
         <div class="word-content">
-          <div class="word-english">${this.escapeHtml(word.english)}</div>
-          <div class="word-ipa">${this.escapeHtml(word.ipa || '')}</div>
-          <div class="word-bangla">${this.escapeHtml(banglaMeanings)}</div>
+          <div class="word-english">${Utils.escapeHtml(word.english)}</div>
+          <div class="word-ipa">${Utils.escapeHtml(word.ipa || '')}</div>
+          <div class="word-bangla">${Utils.escapeHtml(banglaMeanings)}</div>
         </div>
         <div class="word-actions">
           <button class="word-action-btn edit" data-id="${word.id}" aria-label="Edit ${word.english}">
@@ -557,7 +1448,7 @@ const AdminApp = {
               <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
             </svg>
           </button>
-          <button class="word-action-btn delete" data-id="${word.id}" data-word="${this.escapeHtml(word.english)}" aria-label="Delete ${word.english}">
+          <button class="word-action-btn delete" data-id="${word.id}" data-word="${Utils.escapeHtml(word.english)}" aria-label="Delete ${word.english}">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
             </svg>
@@ -643,13 +1534,13 @@ const AdminApp = {
                 antonyms: editAntonyms?.value?.trim() || '',
             });
 
-            this.showToast('Word updated successfully!', 'success');
+            this.showSavedToast('Word updated successfully!');
             this.closeEditModal();
             await this.loadWordList();
 
         } catch (error) {
             console.error('Failed to update word:', error);
-            this.showToast('Failed to update word', 'error');
+            this.showErrorToast(error, 'Failed to update word');
         }
 
         saveEditBtn.disabled = false;
@@ -697,24 +1588,499 @@ const AdminApp = {
         try {
             await ApiManager.deleteWord(this.deletingWordId);
 
-            this.showToast('Word deleted successfully!', 'success');
+            this.showSavedToast('Word deleted successfully!');
             this.closeDeleteModal();
             await this.updateStats();
             await this.loadWordList();
 
         } catch (error) {
             console.error('Failed to delete word:', error);
-            this.showToast('Failed to delete word', 'error');
+            this.showErrorToast(error, 'Failed to delete word');
         }
 
         confirmDeleteBtn.disabled = false;
         confirmDeleteBtn.textContent = 'Delete';
     },
 
+    // --------------------------------------------------------------------------
+    // VERSION HISTORY
+    // --------------------------------------------------------------------------
+
+    /**
+     * Load and list previous versions of the record
+     */
+    async loadHistory() {
+        const { historyList, historyEmpty, historyEmptyText, loadHistoryBtn } = this.elements;
+        if (!historyList) return;
+
+        if (!ApiManager.supportsHistory()) {
+            historyList.innerHTML = '';
+            historyEmpty && (historyEmpty.style.display = 'block');
+            historyEmptyText && (historyEmptyText.textContent = 'Version history is not available for this storage backend');
+            return;
+        }
+
+        loadHistoryBtn.disabled = true;
+        this.historyObserver?.disconnect();
+        this.historyInfo.clear();
+
+        try {
+            this.historyVersions = await ApiManager.fetchVersionHistory();
+
+            if (this.historyVersions.length === 0) {
+                historyList.innerHTML = '';
+                historyEmpty && (historyEmpty.style.display = 'block');
+                historyEmptyText && (historyEmptyText.textContent = 'No previous versions yet');
+            } else {
+                historyEmpty && (historyEmpty.style.display = 'none');
+                historyList.innerHTML = this.historyVersions.map(version => this.renderHistoryItem(version)).join('');
+
+                historyList.querySelectorAll('[data-version]').forEach(btn => {
+                    btn.addEventListener('click', () => this.openHistoryModal(Number(btn.dataset.version)));
+                });
+                this.observeHistoryRows();
+            }
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            this.showErrorToast(error, 'Failed to load version history');
+        }
+
+        loadHistoryBtn.disabled = false;
+    },
+
+    /**
+     * Render a version entry for the history list
+     * @param {number} version
+     * @returns {string} HTML
+     */
+    renderHistoryItem(version) {
+        const info = this.historyInfo.get(version);
+
+        return `
+      <div class="word-item">
+        <div class="word-content">
+          <div class="word-english">Version ${version}</div>
+          <div class="word-ipa" data-version-info="${version}">${info ? this.formatVersionInfo(info) : 'Loading details...'}</div>
+        </div>
+        <div class="word-actions">
+          <button class="btn btn-outline" data-version="${version}" style="min-height: 36px; padding: var(--space-2) var(--space-3);">Compare</button>
+        </div>
+      </div>
+    `;
+    },
+
+    /**
+     * Load each listed version's time and word count once its row is on screen
+     */
+    observeHistoryRows() {
+        const rows = this.elements.historyList.querySelectorAll('[data-version-info]');
+
+        if (!('IntersectionObserver' in window)) {
+            rows.forEach(row => this.loadHistoryInfo(row));
+            return;
+        }
+
+        this.historyObserver = new IntersectionObserver(entries => {
+            entries.filter(entry => entry.isIntersecting).forEach(entry => {
+                this.historyObserver.unobserve(entry.target);
+                this.loadHistoryInfo(entry.target);
+            });
+        });
+        rows.forEach(row => this.historyObserver.observe(row));
+    },
+
+    /**
+     * Download one version and show its time and word count in its row
+     * @param {HTMLElement} row
+     */
+    loadHistoryInfo(row) {
+        const version = Number(row.dataset.versionInfo);
+
+        this.historyInfoQueue = this.historyInfoQueue.then(async () => {
+            // The list was reloaded while this row waited its turn
+            if (!row.isConnected) return;
+
+            try {
+                if (!this.historyInfo.has(version)) {
+                    const { timestamp, wordCount } = await ApiManager.fetchVersion(version);
+                    this.historyInfo.set(version, { timestamp, wordCount });
+                }
+                row.textContent = this.formatVersionInfo(this.historyInfo.get(version));
+            } catch (error) {
+                console.error(`Failed to load details of version ${version}:`, error);
+                row.textContent = 'Details unavailable';
+            }
+        });
+    },
+
+    /**
+     * Describe a version by when it was saved and how many words it held
+     * @param {Object} info - { timestamp, wordCount }
+     * @returns {string}
+     */
+    formatVersionInfo({ timestamp, wordCount }) {
+        const time = timestamp ? this.formatDateTime(new Date(timestamp)) : 'Unknown time';
+        return `${time} · ${wordCount} ${wordCount === 1 ? 'word' : 'words'}`;
+    },
+
+    /**
+     * Download a version and open its per-word diff against the current record
+     * @param {number} version
+     */
+    async openHistoryModal(version) {
+        const { historyModal, historyModalTitle, historySummary, historyDiffList, historyList } = this.elements;
+        const button = historyList?.querySelector(`[data-version="${version}"]`);
+
+        let entry;
+        let currentWords;
+        button && (button.disabled = true);
+        try {
+            entry = await ApiManager.fetchVersion(version);
+            currentWords = await ApiManager.fetchAllWords();
+        } catch (error) {
+            console.error(`Failed to load version ${version}:`, error);
+            this.showErrorToast(error, `Failed to load version ${version}`);
+            return;
+        } finally {
+            button && (button.disabled = false);
+        }
+
+        const diff = ApiManager.diffWords(currentWords, entry.words);
+        this.viewingVersion = entry;
+        this.historyInfo.set(version, { timestamp: entry.timestamp, wordCount: entry.wordCount });
+
+        if (historyModalTitle) historyModalTitle.textContent = `Version ${entry.version}`;
+
+        if (historySummary) {
+            const count = status => diff.filter(d => d.status === status).length;
+            historySummary.textContent = `${this.formatVersionInfo(entry)}. ` + (diff.length === 0
+                ? 'This version matches the current words.'
+                : `Since this version: ${count('changed')} changed, ${count('removed')} deleted, ${count('added')} added.`);
+        }
+
+        if (historyDiffList) {
+            historyDiffList.innerHTML = diff.map(change => this.renderDiffItem(change)).join('');
+        }
+
+        historyModal?.classList.add('active');
+    },
+
+    /**
+     * Close version compare modal
+     */
+    closeHistoryModal() {
+        this.viewingVersion = null;
+        this.elements.historyModal?.classList.remove('active');
+    },
+
+    /**
+     * Render one word difference with a checkbox to restore it
+     * @param {Object} change
+     * @returns {string} HTML
+     */
+    renderDiffItem(change) {
+        const word = change.then || change.now;
+        const badges = {
+            changed: '<span class="badge badge-warning">Changed since</span>',
+            removed: '<span class="badge badge-primary">Deleted since</span>',
+            added: '<span class="badge badge-success">Added since</span>',
+        };
+
+        const formatValue = (value) => {
+            const text = Array.isArray(value) ? value.join(', ') : value;
+            return Utils.escapeHtml(text) || '—';
+        };
+
+        let details = '';
+        if (change.status === 'changed') {
+            details = change.fields.map(field =>
+                `${this.FIELD_LABELS[field] || field}: ${formatValue(change.then[field])} → ${formatValue(change.now[field])}`
+            ).join('<br>');
+        } else if (change.status === 'removed') {
+            details = 'Restoring brings this word back';
+        } else {
+            details = 'Restoring removes this word';
+        }
+
+        return `
+      <label class="history-diff-item">
+        <input type="checkbox" data-id="${change.id}">
+        <div class="word-content">
+          <div class="word-english">${Utils.escapeHtml(word.english)}${badges[change.status]}</div>
+          <div class="history-diff-fields">${details}</div>
+        </div>
+      </label>
+    `;
+    },
+
+    /**
+     * Restore only the checked words from the open version
+     */
+    async restoreSelectedWords() {
+        if (!this.viewingVersion) return;
+
+        const { historyDiffList } = this.elements;
+        const wordIds = [...(historyDiffList?.querySelectorAll('input:checked') || [])].map(input => input.dataset.id);
+
+        if (wordIds.length === 0) {
+            this.showToast('Select at least one word to restore', 'error');
+            return;
+        }
+
+        await this.restoreVersion(wordIds);
+    },
+
+    /**
+     * Restore the whole open version
+     */
+    async restoreEntireVersion() {
+        if (!this.viewingVersion) return;
+        await this.restoreVersion(null);
+    },
+
+    /**
+     * Write the restored words back and refresh the dashboard
+     * @param {Array<string>|null} wordIds
+     */
+    async restoreVersion(wordIds) {
+        const { restoreSelectedBtn, restoreVersionBtn } = this.elements;
+        const { version, words } = this.viewingVersion;
+
+        restoreSelectedBtn.disabled = true;
+        restoreVersionBtn.disabled = true;
+
+        try {
+            await ApiManager.restoreVersion(words, wordIds);
+
+            this.showSavedToast(`Restored from version ${version}`);
+            this.closeHistoryModal();
+            await this.updateStats();
+            await this.loadWordList();
+        } catch (error) {
+            console.error('Failed to restore version:', error);
+            this.showErrorToast(error, 'Failed to restore version');
+        }
+
+        restoreSelectedBtn.disabled = false;
+        restoreVersionBtn.disabled = false;
+    },
+
+    // --------------------------------------------------------------------------
+    // CONFLICT MODAL
+    // --------------------------------------------------------------------------
+
+    /**
+     * Open conflict resolution modal with all unresolved conflicts
+     */
+    openConflictModal() {
+        const { conflictModal, conflictList } = this.elements;
+        const conflicts = StorageManager.getSyncConflicts();
+
+        if (conflicts.length === 0) {
+            this.closeConflictModal();
+            return;
+        }
+
+        if (conflictList) {
+            conflictList.innerHTML = conflicts.map(conflict => this.renderConflictItem(conflict)).join('');
+
+            conflictList.querySelectorAll('[data-keep]').forEach(btn => {
+                btn.addEventListener('click', () => this.resolveConflict(btn.dataset.id, btn.dataset.keep));
+            });
+        }
+
+        conflictModal?.classList.add('active');
+    },
+
+    /**
+     * Close conflict modal
+     */
+    closeConflictModal() {
+        this.elements.conflictModal?.classList.remove('active');
+    },
+
+    /**
+     * Render a conflict with both versions of the clashing fields
+     * @param {Object} conflict
+     * @returns {string} HTML
+     */
+    renderConflictItem(conflict) {
+        const { operation, theirs, fields } = conflict;
+
+        if (operation.type === 'replace') {
+            return this.renderReplaceConflict(conflict);
+        }
+
+        const mine = operation.type === 'delete' ? null : { ...operation.base, ...operation.changes };
+        const english = (theirs || mine || operation.base).english;
+
+        let reason;
+        if (!theirs) {
+            reason = 'You edited this word, but someone else deleted it';
+        } else if (operation.type === 'delete') {
+            reason = 'You deleted this word, but someone else edited it';
+        } else {
+            reason = 'Edited on both sides';
+        }
+
+        const formatValue = (value) => {
+            const text = Array.isArray(value) ? value.join(', ') : value;
+            return Utils.escapeHtml(text) || '—';
+        };
+
+        const fieldsHtml = fields.map(field => `
+          <div class="conflict-field">
+            <span class="conflict-field-label">${this.FIELD_LABELS[field] || field}</span>
+            <div class="conflict-value mine">Yours: ${mine ? formatValue(mine[field]) : '(deleted)'}</div>
+            <div class="conflict-value theirs">Theirs: ${formatValue(theirs[field])}</div>
+          </div>
+        `).join('');
+
+        return `
+      <div class="conflict-item">
+        <div class="conflict-word">${Utils.escapeHtml(english)}</div>
+        <div class="conflict-reason">${reason}</div>
+        ${fieldsHtml}
+        <div class="conflict-actions">
+          <button class="btn btn-outline" data-id="${conflict.id}" data-keep="theirs">Keep Theirs</button>
+          <button class="btn btn-primary" data-id="${conflict.id}" data-keep="mine">Keep Mine</button>
+        </div>
+      </div>
+    `;
+    },
+
+    /**
+     * Render a whole-list write (a save or version restore) that the bin moved on from
+     * @param {Object} conflict
+     * @returns {string} HTML
+     */
+    renderReplaceConflict(conflict) {
+        const count = conflict.operation.words.length;
+
+        return `
+      <div class="conflict-item">
+        <div class="conflict-word">All words</div>
+        <div class="conflict-reason">You replaced the word list (${count} ${count === 1 ? 'word' : 'words'}), but someone else changed it since</div>
+        <div class="conflict-actions">
+          <button class="btn btn-outline" data-id="${conflict.id}" data-keep="theirs">Keep Theirs</button>
+          <button class="btn btn-primary" data-id="${conflict.id}" data-keep="mine">Keep Mine</button>
+        </div>
+      </div>
+    `;
+    },
+
+    /**
+     * Apply the chosen side of a conflict
+     * @param {string} conflictId
+     * @param {string} keep - 'mine' or 'theirs'
+     */
+    async resolveConflict(conflictId, keep) {
+        try {
+            await ApiManager.resolveConflict(conflictId, keep);
+            this.showSavedToast(keep === 'mine' ? 'Your version was kept' : 'Their version was kept');
+        } catch (error) {
+            console.error('Failed to resolve conflict:', error);
+            this.showErrorToast(error, 'Failed to resolve conflict');
+        }
+
+        this.openConflictModal();
+        await this.updateStats();
+        await this.loadWordList();
+    },
+
     // --------------------------------------------------------------------------
     // UTILITY METHODS
     // --------------------------------------------------------------------------
 
+    /**
+     * Close every open modal
+     */
+    closeAllModals() {
+        this.closeEditModal();
+        this.closeDeleteModal();
+        this.closeConflictModal();
+        this.closeHistoryModal();
+        this.closeRecoveryCodesModal();
+        this.closeUnlockModal(false);
+    },
+
+    /**
+     * Turn a typed API error into an actionable message
+     * @param {Error} error
+     * @returns {string|null}
+     */
+    getErrorMessage(error) {
+        const { AUTH, NOT_FOUND, RATE_LIMITED, OFFLINE, TIMEOUT, SERVER, BAD_REQUEST, INVALID_RESPONSE, UNEXPECTED, READ_ONLY, LOCKED } = ApiManager.ERROR_TYPES;
+
+        switch (error?.type) {
+            case AUTH:
+                return 'The master key was rejected. Check it in API Settings.';
+            case NOT_FOUND:
+                return 'Bin not found. Check the Bin ID or server URL in API Settings.';
+            case RATE_LIMITED:
+                return error.retryAfter
+                    ? `Rate limit reached. Try again in ${Math.ceil(error.retryAfter / 1000)} seconds.`
+                    : 'Rate limit reached. Please wait a minute and try again.';
+            case OFFLINE:
+                return 'You are offline. Changes will sync when you reconnect.';
+            case TIMEOUT:
+                return 'The server is not responding. Please try again.';
+            case SERVER:
+                return 'The storage server had a problem. Please try again later.';
+            case BAD_REQUEST:
+                return `The server refused the request: ${error.message}`;
+            case INVALID_RESPONSE:
+                return `The server sent something that is not a word list: ${error.message}`;
+            case UNEXPECTED:
+                return `The request failed: ${error.message}`;
+            case READ_ONLY:
+                return error.message;
+            case LOCKED:
+                return 'The master key is locked. Unlock it in Security settings to use the cloud.';
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Show an error toast, preferring the typed message when there is one
+     * @param {Error} error
+     * @param {string} fallback - Message for untyped errors
+     */
+    showErrorToast(error, fallback) {
+        this.showToast(this.getErrorMessage(error) || fallback, 'error');
+    },
+
+    /**
+     * Report a background cloud error once per minute per error type
+     * @param {Error} error
+     */
+    handleApiError(error) {
+        const now = Date.now();
+        if (error.type === this.lastErrorToast.type && now - this.lastErrorToast.shownAt < 60000) {
+            return;
+        }
+
+        this.lastErrorToast = { type: error.type, shownAt: now };
+        this.showErrorToast(error, 'Failed to reach cloud storage. Showing saved words.');
+    },
+
+    /**
+     * Report a failed write to device storage once per minute
+     * @param {Object} detail - { error, quotaExceeded }
+     */
+    handleStorageError({ quotaExceeded }) {
+        const now = Date.now();
+        if (this.lastErrorToast.type === 'storage' && now - this.lastErrorToast.shownAt < 60000) {
+            return;
+        }
+
+        this.lastErrorToast = { type: 'storage', shownAt: now };
+        this.showToast(quotaExceeded
+            ? 'This device is out of storage space. Free some up so offline changes are kept.'
+            : 'Could not save to this device. Offline changes may be lost.', 'error');
+    },
+
     /**
      * Show toast notification
      * @param {string} message
@@ -739,34 +2105,55 @@ const AdminApp = {
     },
 
     /**
-     * Get date string in YYYY-MM-DD format
-     * @param {Date} date
-     * @returns {string}
+     * Show a success toast, or an offline notice if the change is still queued
+     * @param {string} message
      */
-    getDateString(date) {
-        return date.toISOString().split('T')[0];
+    showSavedToast(message) {
+        if (ApiManager.getPendingCount() > 0 && !navigator.onLine) {
+            this.showToast('Saved offline. Changes will sync when you reconnect.', 'info');
+        } else if (ApiManager.getPendingCount() > 0) {
+            // The apierror toast explains why the cloud refused it
+            this.showToast('Saved on this device. Changes will sync once the cloud accepts them.', 'info');
+        } else {
+            this.showToast(message, 'success');
+        }
     },
 
     /**
      * Format date for display
-     * @param {Date} date
+     * @param {string} dateString - YYYY-MM-DD
      * @returns {string}
      */
-    formatDateDisplay(date) {
+    formatDateDisplay(dateString) {
         const options = { month: 'short', day: 'numeric', year: 'numeric' };
-        return date.toLocaleDateString('en-US', options);
+        return DateUtils.parse(dateString).toLocaleDateString('en-US', options);
     },
 
     /**
-     * Escape HTML special characters
-     * @param {string} str
+     * Format date and time for display
+     * @param {Date} date
      * @returns {string}
      */
-    escapeHtml(str) {
-        if (!str) return '';
-        const div = document.createElement('div');
-        div.textContent = str;
-        return div.innerHTML;
+    formatDateTime(date) {
+        const options = { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' };
+        return date.toLocaleString('en-US', options);
+    },
+
+    /**
+     * Format a duration as a countdown
+     * @param {number} ms
+     * @returns {string} - e.g. "1h 05m" or "4:09"
+     */
+    formatCountdown(ms) {
+        const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+
+        if (hours > 0) {
+            return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+        }
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
     }
 };
 
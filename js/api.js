@@ -1,61 +1,342 @@
 /**
  * ==========================================================================
- * JSONBIN.IO API WRAPPER
- * Handles all cloud storage operations with JSONBin.io
+ * CLOUD API WRAPPER
+ * Handles all word storage operations through the configured backend
  * ==========================================================================
  */
 
 const ApiManager = {
-    // Base URL for JSONBin.io API
-    BASE_URL: 'https://api.jsonbin.io/v3',
+    // Word fields compared when merging concurrent edits
+    WORD_FIELDS: ['date', 'english', 'ipa', 'context', 'meaning', 'banglaMeanings', 'synonyms', 'antonyms'],
+
+    // How many old versions the history panel loads
+    HISTORY_LIMIT: 20,
+
+    // How long fetched words are reused before asking the backend again
+    CACHE_TTL: 2 * 60 * 1000,
+
+    // In-memory word cache shared by every screen
+    cache: { words: null, fetchedAt: 0, key: null },
+
+    // Pending full fetch, shared by concurrent callers
+    fetchPromise: null,
+
+    // Revision of the last bin record we read
+    revision: null,
+
+    // Set by the learner app: only the read-only access key is sent and writes are refused
+    readOnly: false,
+
+    // Request timeout and retry policy
+    REQUEST_TIMEOUT: 15000,
+    MAX_RETRIES: 3,
+    RETRY_BASE_DELAY: 500,
+    RETRY_MAX_DELAY: 8000,
+
+    // Longest rate-limit wait we sit through before giving up
+    MAX_RETRY_AFTER: 30000,
+
+    // Error types attached to thrown errors as `error.type`
+    ERROR_TYPES: {
+        AUTH: 'auth',
+        NOT_FOUND: 'not-found',
+        RATE_LIMITED: 'rate-limited',
+        OFFLINE: 'offline',
+        TIMEOUT: 'timeout',
+        SERVER: 'server',
+        BAD_REQUEST: 'bad-request',
+        INVALID_RESPONSE: 'invalid-response',
+        UNEXPECTED: 'unexpected',
+        READ_ONLY: 'read-only',
+        LOCKED: 'locked',
+    },
+
+    // Last request error, for screens that only get a boolean back
+    lastError: null,
+
+    // Set by the admin panel: asks for the vault passphrase and resolves
+    // true once the master key is unlocked
+    unlockHandler: null,
+
+    // Pending unlock prompt, shared by concurrent requests
+    unlockPromise: null,
 
     // --------------------------------------------------------------------------
     // HELPER METHODS
     // --------------------------------------------------------------------------
 
     /**
-     * Get headers for API requests
+     * Get the active storage backend adapter
      * @returns {Object}
      */
-    getHeaders() {
-        const { apiKey } = StorageManager.getApiCredentials();
-        return {
-            'Content-Type': 'application/json',
-            'X-Master-Key': apiKey,
-        };
+    getBackend() {
+        return StorageBackends.get(StorageManager.getApiCredentials().backend);
+    },
+
+    /**
+     * Get the settings passed to the backend adapter
+     * @returns {Object} - Stored credentials plus { readOnly }
+     */
+    getConfig() {
+        return { ...StorageManager.getApiCredentials(), readOnly: this.readOnly };
+    },
+
+    /**
+     * Get the backend settings for a request, unlocking the master key first if needed
+     * @returns {Promise<Object>}
+     */
+    async getRequestConfig() {
+        if (!this.readOnly && StorageManager.isVaultLocked()) {
+            await this.unlockCredentials();
+        }
+        return this.getConfig();
+    },
+
+    /**
+     * Ask for the vault passphrase
+     * @returns {Promise<void>} - Rejects with a LOCKED error if the vault stays locked
+     */
+    async unlockCredentials() {
+        if (!StorageManager.isVaultLocked()) return;
+
+        if (!this.unlockPromise) {
+            const prompt = this.unlockHandler ? this.unlockHandler() : Promise.resolve(false);
+            this.unlockPromise = prompt.finally(() => {
+                this.unlockPromise = null;
+            });
+        }
+
+        if (!(await this.unlockPromise)) {
+            throw this.createError(
+                this.ERROR_TYPES.LOCKED,
+                'The master key is locked. Enter your passphrase to use the cloud.'
+            );
+        }
     },
 
     /**
-     * Make API request with error handling and retry
+     * Check if the active backend has everything it needs
+     * @returns {boolean}
+     */
+    isConfigured() {
+        const config = this.getConfig();
+
+        // A locked master key is still there; it is unlocked when a request needs it
+        if (config.locked && !this.readOnly) {
+            return this.getBackend().isConfigured({ ...config, apiKey: 'locked' });
+        }
+        return this.getBackend().isConfigured(config);
+    },
+
+    /**
+     * Authenticate with the read-only access key and refuse all writes
+     */
+    useReadOnlyAccess() {
+        this.readOnly = true;
+        this.invalidateCache();
+    },
+
+    /**
+     * Throw if this app is only allowed to read words
+     */
+    assertWritable() {
+        if (this.readOnly) {
+            throw this.createError(
+                this.ERROR_TYPES.READ_ONLY,
+                'This app has read-only access. Words can only be changed from the admin panel.'
+            );
+        }
+    },
+
+    /**
+     * Make API request with a timeout, retrying transient failures with backoff
      * @param {string} url
      * @param {Object} options
      * @param {number} retries
      * @returns {Promise<Object>}
      */
-    async request(url, options = {}, retries = 2) {
+    async request(url, options = {}, retries = this.MAX_RETRIES) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.sendRequest(url, options);
+            } catch (error) {
+                const delay = this.getRetryDelay(error, attempt);
+                if (attempt >= retries || delay === null) {
+                    throw error;
+                }
+
+                console.warn(`Retrying request in ${Math.round(delay)}ms... (${retries - attempt} attempts left)`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    },
+
+    /**
+     * Send a single request and turn any failure into a typed error
+     * @param {string} url
+     * @param {Object} options
+     * @returns {Promise<Object|null>} - Parsed body, or null when the server sent none
+     */
+    async sendRequest(url, options = {}) {
+        if (!navigator.onLine) {
+            throw this.createError(this.ERROR_TYPES.OFFLINE, 'You are offline');
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.REQUEST_TIMEOUT);
+        let response = null;
+
         try {
-            const response = await fetch(url, {
+            response = await fetch(url, {
                 ...options,
                 headers: {
-                    ...this.getHeaders(),
+                    'Content-Type': 'application/json',
                     ...options.headers,
                 },
+                signal: controller.signal,
             });
 
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.message || `HTTP error ${response.status}`);
+                throw this.createHttpError(response, errorData);
             }
 
-            return await response.json();
+            return await this.parseBody(response);
         } catch (error) {
-            if (retries > 0 && error.name !== 'AbortError') {
-                console.warn(`Retrying request... (${retries} attempts left)`);
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                return this.request(url, options, retries - 1);
+            if (error.type) throw error;
+
+            if (error.name === 'AbortError') {
+                throw this.createError(
+                    this.ERROR_TYPES.TIMEOUT,
+                    `No response after ${this.REQUEST_TIMEOUT / 1000} seconds`
+                );
+            }
+            // fetch rejects with a TypeError when the network fails
+            if (!response && error.name === 'TypeError') {
+                throw this.createError(this.ERROR_TYPES.OFFLINE, error.message || 'Network request failed');
             }
-            throw error;
+            throw this.createError(this.ERROR_TYPES.UNEXPECTED, error.message || 'Request failed', { cause: error });
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    /**
+     * Parse a successful response, allowing 204 and other empty bodies
+     * @param {Response} response
+     * @returns {Promise<Object|null>}
+     */
+    async parseBody(response) {
+        if (response.status === 204) return null;
+
+        const text = await response.text();
+        if (!text.trim()) return null;
+
+        try {
+            return JSON.parse(text);
+        } catch {
+            throw this.createError(
+                this.ERROR_TYPES.INVALID_RESPONSE,
+                `Expected JSON but got "${text.slice(0, 40)}"`,
+                { status: response.status }
+            );
+        }
+    },
+
+    /**
+     * Create an error carrying one of ERROR_TYPES
+     * @param {string} type
+     * @param {string} message
+     * @param {Object} details - Extra properties such as { status, retryAfter }
+     * @returns {Error}
+     */
+    createError(type, message, details = {}) {
+        const error = new Error(message);
+        error.type = type;
+        Object.assign(error, details);
+        return error;
+    },
+
+    /**
+     * Classify a failed HTTP response
+     * @param {Response} response
+     * @param {Object} errorData - Parsed response body, if any
+     * @returns {Error}
+     */
+    createHttpError(response, errorData) {
+        const { status } = response;
+        const message = errorData.message || `HTTP error ${status}`;
+
+        if (status === 401 || status === 403) {
+            return this.createError(this.ERROR_TYPES.AUTH, message, { status });
+        }
+        if (status === 404) {
+            return this.createError(this.ERROR_TYPES.NOT_FOUND, message, { status });
+        }
+        if (status === 429) {
+            return this.createError(this.ERROR_TYPES.RATE_LIMITED, message, {
+                status,
+                retryAfter: this.parseRetryAfter(response.headers),
+            });
+        }
+        if (status >= 500) {
+            return this.createError(this.ERROR_TYPES.SERVER, message, { status });
+        }
+        return this.createError(this.ERROR_TYPES.BAD_REQUEST, message, { status });
+    },
+
+    /**
+     * Read how long a rate-limited client should wait
+     * @param {Headers} headers
+     * @returns {number|null} - Milliseconds, or null if the server did not say
+     */
+    parseRetryAfter(headers) {
+        const retryAfter = headers?.get('Retry-After');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const ms = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+            if (!isNaN(ms)) return Math.max(0, ms);
         }
+
+        // Unix time (in seconds) when the rate-limit window resets
+        const reset = Number(headers?.get('X-RateLimit-Reset'));
+        if (reset) {
+            return Math.max(0, reset * 1000 - Date.now());
+        }
+
+        return null;
+    },
+
+    /**
+     * Work out how long to wait before retrying a failed request
+     * @param {Error} error
+     * @param {number} attempt - Zero-based attempt that just failed
+     * @returns {number|null} - Milliseconds, or null if the error is not worth retrying
+     */
+    getRetryDelay(error, attempt) {
+        const { RATE_LIMITED, TIMEOUT, SERVER, OFFLINE } = this.ERROR_TYPES;
+
+        if (error.type === RATE_LIMITED && error.retryAfter !== null && error.retryAfter !== undefined) {
+            return error.retryAfter <= this.MAX_RETRY_AFTER ? error.retryAfter : null;
+        }
+
+        // A dropped connection may come back; a device that is offline will not
+        const retryable = [RATE_LIMITED, TIMEOUT, SERVER].includes(error.type)
+            || (error.type === OFFLINE && navigator.onLine);
+        if (!retryable) return null;
+
+        // Exponential backoff with jitter so clients don't retry in lockstep
+        const backoff = Math.min(this.RETRY_MAX_DELAY, this.RETRY_BASE_DELAY * 2 ** attempt);
+        return backoff / 2 + Math.random() * backoff / 2;
+    },
+
+    /**
+     * Remember a failed request and let the UI know about it
+     * @param {Error} error
+     */
+    reportError(error) {
+        this.lastError = error;
+        window.dispatchEvent(new CustomEvent('apierror', { detail: { error } }));
     },
 
     // --------------------------------------------------------------------------
@@ -68,16 +349,18 @@ const ApiManager = {
      */
     async testConnection() {
         try {
-            const { binId } = StorageManager.getApiCredentials();
-            if (!binId) {
-                throw new Error('Bin ID not configured');
+            const config = await this.getRequestConfig();
+            const backend = this.getBackend();
+            if (!backend.isConfigured(config)) {
+                throw new Error(`${backend.label} is not configured`);
             }
 
-            const url = `${this.BASE_URL}/b/${binId}/latest`;
-            await this.request(url);
+            await backend.test(config);
+            this.lastError = null;
             return true;
         } catch (error) {
             console.error('Connection test failed:', error);
+            this.lastError = error;
             return false;
         }
     },
@@ -85,28 +368,93 @@ const ApiManager = {
     /**
      * Initialize a new bin with empty data structure
      * @param {string} binName
-     * @returns {Promise<string>} - New bin ID
+     * @returns {Promise<string|null>} - New bin ID, if the backend assigns one
      */
     async createBin(binName = 'Vocabulary Flashcards') {
-        const url = `${this.BASE_URL}/b`;
+        this.assertWritable();
+
         const initialData = {
             words: [],
             meta: {
                 totalWords: 0,
+                revision: 0,
+                schemaVersion: MigrationManager.CURRENT_VERSION,
                 createdAt: new Date().toISOString(),
                 lastUpdated: new Date().toISOString(),
             },
         };
 
-        const result = await this.request(url, {
-            method: 'POST',
-            headers: {
-                'X-Bin-Name': binName,
+        return this.getBackend().create(await this.getRequestConfig(), initialData, binName);
+    },
+
+    // --------------------------------------------------------------------------
+    // RECORD ACCESS
+    // --------------------------------------------------------------------------
+
+    /**
+     * Fetch the raw bin record
+     * @returns {Promise<Object>} - { words, meta }
+     */
+    async fetchRecord() {
+        let record = await this.getBackend().fetchAll(await this.getRequestConfig());
+
+        if (MigrationManager.needsMigration(record)) {
+            record = await this.upgradeRecord(record);
+        }
+
+        this.revision = this.getRevision(record);
+        return record;
+    },
+
+    /**
+     * Migrate a record written by an older schema and store the upgrade,
+     * keeping a backup of the original first
+     * @param {Object} record
+     * @returns {Promise<Object>} - Upgraded record
+     */
+    async upgradeRecord(record) {
+        const migrated = MigrationManager.migrateRecord(record);
+
+        // Nothing to preserve in an empty record; it is stamped on the next save.
+        // Read-only apps use the upgrade in memory and leave the write to the admin.
+        if (migrated.words.length === 0 || this.readOnly) return migrated;
+
+        // Without a backup the upgrade is only used in memory
+        if (!(await MigrationManager.backupRecord('bin', record))) {
+            console.warn('Skipping bin migration write-back: backup failed');
+            return migrated;
+        }
+
+        try {
+            const meta = { ...migrated.meta, revision: this.getRevision(migrated) + 1 };
+            await this.putRecord(migrated.words, meta);
+            return { words: migrated.words, meta: meta };
+        } catch (error) {
+            console.error('Failed to save migrated bin:', error);
+            return migrated;
+        }
+    },
+
+    /**
+     * Overwrite the bin record with a word list
+     * @param {Array} words
+     * @param {Object} meta - Existing meta to carry over
+     * @returns {Promise<void>}
+     */
+    async putRecord(words, meta = {}) {
+        this.assertWritable();
+
+        const data = {
+            words: words,
+            meta: {
+                ...meta,
+                schemaVersion: MigrationManager.CURRENT_VERSION,
+                totalWords: words.length,
+                lastUpdated: new Date().toISOString(),
             },
-            body: JSON.stringify(initialData),
-        });
+        };
 
-        return result.metadata.id;
+        await this.getBackend().save(await this.getRequestConfig(), data);
     },
 
     // --------------------------------------------------------------------------
@@ -114,27 +462,52 @@ const ApiManager = {
     // --------------------------------------------------------------------------
 
     /**
-     * Fetch all words from the bin
+     * Fetch all words from the bin, reusing the cache while it is fresh
+     * Each caller gets its own array, so sorting or splicing it leaves the cache alone.
+     * @param {Object} options - { force: skip the cache }
+     * @returns {Promise<Array>}
+     */
+    async fetchAllWords({ force = false } = {}) {
+        if (!force && this.isCacheFresh()) {
+            return [...this.cache.words];
+        }
+
+        // Callers arriving while a fetch is running share its result
+        if (!this.fetchPromise) {
+            this.fetchPromise = this.loadAllWords().finally(() => {
+                this.fetchPromise = null;
+            });
+        }
+        return [...(await this.fetchPromise)];
+    },
+
+    /**
+     * Fetch all words from the backend, bypassing the cache
      * @returns {Promise<Array>}
      */
-    async fetchAllWords() {
+    async loadAllWords() {
         try {
-            const { binId } = StorageManager.getApiCredentials();
-            if (!binId) {
+            if (!this.isConfigured()) {
                 return StorageManager.getLocalWords();
             }
 
-            const url = `${this.BASE_URL}/b/${binId}/latest`;
-            const result = await this.request(url);
+            const record = await this.fetchRecord();
+            let words = record.words || [];
 
-            const words = result.record?.words || [];
+            // Pending edits win over the cloud copy until they are synced
+            if (!this.readOnly && this.getPendingCount() > 0) {
+                const synced = await this.syncQueue(record);
+                words = synced || this.mergePendingOperations(record).words;
+            }
 
             // Cache locally for offline access
             StorageManager.saveLocalWords(words);
+            this.setCache(words);
 
             return words;
         } catch (error) {
             console.error('Failed to fetch words:', error);
+            this.reportError(error);
             // Return cached words on failure
             return StorageManager.getLocalWords();
         }
@@ -143,50 +516,26 @@ const ApiManager = {
     /**
      * Fetch words for a specific date
      * @param {string} dateString - YYYY-MM-DD format
+     * @param {Object} options - Passed to fetchAllWords
      * @returns {Promise<Array>}
      */
-    async fetchWordsByDate(dateString) {
-        const allWords = await this.fetchAllWords();
+    async fetchWordsByDate(dateString, options = {}) {
+        const allWords = await this.fetchAllWords(options);
         return allWords.filter(word => word.date === dateString);
     },
 
     /**
-     * Save all words to the bin
+     * Replace all words in the bin
      * @param {Array} words
-     * @returns {Promise<boolean>}
+     * @returns {Promise<boolean>} - false if the change is queued for later sync
      */
     async saveAllWords(words) {
-        try {
-            const { binId } = StorageManager.getApiCredentials();
-            if (!binId) {
-                StorageManager.saveLocalWords(words);
-                return true;
-            }
-
-            const url = `${this.BASE_URL}/b/${binId}`;
-            const data = {
-                words: words,
-                meta: {
-                    totalWords: words.length,
-                    lastUpdated: new Date().toISOString(),
-                },
-            };
-
-            await this.request(url, {
-                method: 'PUT',
-                body: JSON.stringify(data),
-            });
-
-            // Update local cache
-            StorageManager.saveLocalWords(words);
-
-            return true;
-        } catch (error) {
-            console.error('Failed to save words:', error);
-            // Save locally as fallback
-            StorageManager.saveLocalWords(words);
-            return false;
+        // The replace is checked against the revision it was made on, so make sure we know it
+        if (this.revision === null && this.isConfigured()) {
+            await this.fetchAllWords({ force: true });
         }
+
+        return this.queueOperation({ type: 'replace', words: words });
     },
 
     /**
@@ -195,11 +544,13 @@ const ApiManager = {
      * @returns {Promise<Object>} - The added word with ID
      */
     async addWord(wordData) {
+        this.assertWritable();
+
         const allWords = await this.fetchAllWords();
 
         const newWord = {
             id: StorageManager.generateId(),
-            date: wordData.date || StorageManager.getDateString(new Date()),
+            date: wordData.date || DateUtils.today(),
             wordNumber: this.getNextWordNumber(allWords, wordData.date),
             english: wordData.english,
             ipa: wordData.ipa || '',
@@ -212,8 +563,7 @@ const ApiManager = {
             createdAt: new Date().toISOString(),
         };
 
-        allWords.push(newWord);
-        await this.saveAllWords(allWords);
+        await this.queueOperation({ type: 'add', word: newWord });
 
         return newWord;
     },
@@ -225,31 +575,32 @@ const ApiManager = {
      * @returns {Promise<Object>} - Updated word
      */
     async updateWord(wordId, updates) {
+        this.assertWritable();
+
         const allWords = await this.fetchAllWords();
-        const index = allWords.findIndex(w => w.id === wordId);
+        const word = allWords.find(w => w.id === wordId);
 
-        if (index === -1) {
+        if (!word) {
             throw new Error('Word not found');
         }
 
-        // Apply updates
-        allWords[index] = {
-            ...allWords[index],
+        const changes = {
             ...updates,
             banglaMeanings: updates.banglaMeanings !== undefined
                 ? this.parseArrayField(updates.banglaMeanings)
-                : allWords[index].banglaMeanings,
+                : word.banglaMeanings,
             synonyms: updates.synonyms !== undefined
                 ? this.parseArrayField(updates.synonyms)
-                : allWords[index].synonyms,
+                : word.synonyms,
             antonyms: updates.antonyms !== undefined
                 ? this.parseArrayField(updates.antonyms)
-                : allWords[index].antonyms,
+                : word.antonyms,
             updatedAt: new Date().toISOString(),
         };
 
-        await this.saveAllWords(allWords);
-        return allWords[index];
+        await this.queueOperation({ type: 'update', wordId: wordId, changes: changes, base: word });
+
+        return { ...word, ...changes };
     },
 
     /**
@@ -258,26 +609,498 @@ const ApiManager = {
      * @returns {Promise<boolean>}
      */
     async deleteWord(wordId) {
+        this.assertWritable();
+
         const allWords = await this.fetchAllWords();
-        const filteredWords = allWords.filter(w => w.id !== wordId);
+        const word = allWords.find(w => w.id === wordId);
 
-        if (filteredWords.length === allWords.length) {
+        if (!word) {
             throw new Error('Word not found');
         }
 
-        // Re-number words for the affected date
-        const deletedWord = allWords.find(w => w.id === wordId);
-        if (deletedWord) {
-            let number = 1;
-            filteredWords.forEach(word => {
-                if (word.date === deletedWord.date) {
-                    word.wordNumber = number++;
+        await this.queueOperation({ type: 'delete', wordId: wordId, base: word });
+        return true;
+    },
+
+    // --------------------------------------------------------------------------
+    // SYNC QUEUE
+    // --------------------------------------------------------------------------
+
+    // Guards against overlapping replays of the same queue
+    syncPromise: null,
+
+    /**
+     * Start replaying queued writes whenever connectivity returns
+     */
+    initSync() {
+        if (this.readOnly) return;
+
+        window.addEventListener('online', () => this.processQueue());
+        this.notifyQueueChange();
+        this.processQueue();
+    },
+
+    /**
+     * Record a write locally and try to push it to the cloud
+     * @param {Object} operation - { type: 'add'|'update'|'delete'|'replace', ... }
+     * @returns {Promise<boolean>} - true if the cloud is up to date
+     */
+    async queueOperation(operation) {
+        this.assertWritable();
+
+        const localWords = this.applyOperation(StorageManager.getLocalWords(), operation);
+        StorageManager.saveLocalWords(localWords);
+
+        // The cloud copy is stale until the write lands
+        this.invalidateCache();
+
+        if (!this.isConfigured()) {
+            // Nothing to sync to: the cache is the source of truth
+            return true;
+        }
+
+        const queue = StorageManager.getSyncQueue();
+        queue.push({
+            baseRevision: this.revision,
+            ...operation,
+            id: StorageManager.generateId(),
+            queuedAt: new Date().toISOString(),
+        });
+        StorageManager.saveSyncQueue(queue);
+        this.notifyQueueChange();
+
+        return this.processQueue();
+    },
+
+    /**
+     * Replay all queued writes against the latest cloud record
+     * @returns {Promise<boolean>} - true if nothing is left pending
+     */
+    async processQueue() {
+        if (this.getPendingCount() === 0) return true;
+
+        if (this.readOnly || !this.isConfigured()) return false;
+        if (this.getBackend().requiresNetwork && !navigator.onLine) return false;
+
+        await this.syncQueue();
+        return this.getPendingCount() === 0;
+    },
+
+    /**
+     * Replay queued writes, or join the replay already running
+     * @param {Object|null} record - Freshly fetched bin record, fetched here if not given
+     * @returns {Promise<Array|null>} - Words after the replay, or null if it failed
+     */
+    syncQueue(record = null) {
+        if (this.syncPromise) return this.syncPromise;
+
+        this.syncPromise = (async () => {
+            try {
+                const words = await this.syncPendingOperations(record || await this.fetchRecord());
+                StorageManager.saveLocalWords(words);
+
+                if (this.getPendingCount() === 0) {
+                    this.setCache(words);
                 }
-            });
+                return words;
+            } catch (error) {
+                console.warn('Sync failed, keeping changes queued:', error);
+                // Being offline is already shown by the pending-changes indicator
+                if (error.type !== this.ERROR_TYPES.OFFLINE) this.reportError(error);
+                return null;
+            }
+        })().finally(() => {
+            this.syncPromise = null;
+        });
+
+        return this.syncPromise;
+    },
+
+    /**
+     * Merge queued writes into the cloud record and push the result
+     * The merge is written on top of the revision it was made from.
+     * @param {Object} record - Freshly fetched bin record
+     * @returns {Promise<Array>} - Words with all mergeable writes applied
+     */
+    async syncPendingOperations(record) {
+        const merged = this.mergePendingOperations(record);
+
+        try {
+            const revision = this.getRevision(record) + 1;
+            await this.putRecord(merged.words, { ...record.meta, revision: revision });
+            this.revision = revision;
+
+            this.completeOperations(merged.queue, merged.conflicts);
+        } catch (error) {
+            console.warn('Failed to push queued changes:', error);
+            if (error.type !== this.ERROR_TYPES.OFFLINE) this.reportError(error);
         }
 
-        await this.saveAllWords(filteredWords);
-        return true;
+        return merged.words;
+    },
+
+    /**
+     * Replay queued writes on a record, setting aside ones that clash
+     * @param {Object} record
+     * @param {Array} queue
+     * @returns {Object} - { words, conflicts, queue }
+     */
+    mergePendingOperations(record, queue = StorageManager.getSyncQueue()) {
+        const revision = this.getRevision(record);
+        const conflicts = [];
+
+        const words = queue.reduce((list, op) => {
+            // Nobody else wrote since this edit was made, so it applies cleanly
+            if (op.baseRevision !== revision) {
+                const conflict = this.detectConflict(list, op);
+                if (conflict) {
+                    conflicts.push(conflict);
+                    return list;
+                }
+            }
+            return this.applyOperation(list, op);
+        }, record.words || []);
+
+        return { words, conflicts, queue };
+    },
+
+    /**
+     * Check whether a queued write clashes with the cloud copy of its word
+     * @param {Array} words - Cloud words
+     * @param {Object} operation
+     * @returns {Object|null} - Conflict details, or null if it merges cleanly
+     */
+    detectConflict(words, operation) {
+        if (operation.type !== 'replace' && !operation.base) return null;
+
+        const theirs = words.find(w => w.id === operation.wordId) || null;
+        const base = operation.base;
+        let reason = null;
+        let fields = [];
+
+        if (operation.type === 'replace') {
+            // Only called once the bin has moved on, and a full list would overwrite those writes
+            reason = 'replaced';
+        } else if (operation.type === 'update') {
+            if (!theirs) {
+                reason = 'deleted';
+            } else {
+                fields = this.WORD_FIELDS.filter(field =>
+                    field in operation.changes &&
+                    !this.isSameValue(operation.changes[field], base[field]) &&
+                    !this.isSameValue(theirs[field], base[field]) &&
+                    !this.isSameValue(theirs[field], operation.changes[field])
+                );
+                reason = fields.length > 0 ? 'edited' : null;
+            }
+        } else if (operation.type === 'delete' && theirs) {
+            fields = this.WORD_FIELDS.filter(field => !this.isSameValue(theirs[field], base[field]));
+            reason = fields.length > 0 ? 'edited' : null;
+        }
+
+        if (!reason) return null;
+
+        return {
+            id: operation.id,
+            reason: reason,
+            fields: fields,
+            operation: operation,
+            theirs: theirs,
+            detectedAt: new Date().toISOString(),
+        };
+    },
+
+    /**
+     * Drop replayed writes from the queue and keep the conflicting ones aside
+     * @param {Array} replayedQueue
+     * @param {Array} conflicts
+     */
+    completeOperations(replayedQueue, conflicts) {
+        // Only drop what was replayed; writes queued meanwhile stay
+        const replayed = new Set(replayedQueue.map(op => op.id));
+        const remaining = StorageManager.getSyncQueue().filter(op => !replayed.has(op.id));
+        StorageManager.saveSyncQueue(remaining);
+        this.notifyQueueChange();
+
+        if (conflicts.length > 0) {
+            StorageManager.saveSyncConflicts([...StorageManager.getSyncConflicts(), ...conflicts]);
+            window.dispatchEvent(new CustomEvent('syncconflict', {
+                detail: { conflicts: StorageManager.getSyncConflicts() },
+            }));
+        }
+    },
+
+    /**
+     * Settle a conflict by keeping either our write or the cloud version
+     * @param {string} conflictId
+     * @param {string} keep - 'mine' or 'theirs'
+     * @returns {Promise<boolean>} - true if the cloud is up to date
+     */
+    async resolveConflict(conflictId, keep) {
+        this.assertWritable();
+
+        const conflicts = StorageManager.getSyncConflicts();
+        const conflict = conflicts.find(c => c.id === conflictId);
+        if (!conflict) return false;
+
+        StorageManager.saveSyncConflicts(conflicts.filter(c => c.id !== conflictId));
+
+        if (keep !== 'mine') {
+            // The cloud already has their version; refresh the local cache
+            await this.fetchAllWords({ force: true });
+            return true;
+        }
+
+        const { operation, theirs } = conflict;
+        if (operation.type === 'replace') {
+            // Write the list again, this time on top of the latest revision
+            await this.fetchAllWords({ force: true });
+            return this.queueOperation({ type: 'replace', words: operation.words, baseRevision: this.revision });
+        }
+        if (!theirs) {
+            // They deleted the word we edited: bring it back with our changes
+            return this.queueOperation({ type: 'add', word: { ...operation.base, ...operation.changes } });
+        }
+
+        // Re-apply our write on top of their version
+        return this.queueOperation({
+            type: operation.type,
+            wordId: operation.wordId,
+            changes: operation.changes,
+            base: theirs,
+            baseRevision: this.revision,
+        });
+    },
+
+    /**
+     * Apply a single write operation to a word list
+     * @param {Array} words
+     * @param {Object} operation
+     * @returns {Array} - New word list
+     */
+    applyOperation(words, operation) {
+        switch (operation.type) {
+            case 'add': {
+                if (words.some(w => w.id === operation.word.id)) return words;
+                return [...words, {
+                    ...operation.word,
+                    wordNumber: this.getNextWordNumber(words, operation.word.date),
+                }];
+            }
+            case 'update': {
+                const changes = this.getOwnChanges(operation);
+                return words.map(w => (w.id === operation.wordId ? { ...w, ...changes } : w));
+            }
+            case 'delete': {
+                const deletedWord = words.find(w => w.id === operation.wordId);
+                if (!deletedWord) return words;
+
+                // Re-number words for the affected date
+                let number = 1;
+                return words
+                    .filter(w => w.id !== operation.wordId)
+                    .map(w => (w.date === deletedWord.date ? { ...w, wordNumber: number++ } : w));
+            }
+            case 'replace':
+                return [...operation.words];
+            default:
+                console.warn('Unknown sync operation:', operation.type);
+                return words;
+        }
+    },
+
+    /**
+     * Fields an update actually changed relative to the word it was based on
+     * @param {Object} operation
+     * @returns {Object}
+     */
+    getOwnChanges(operation) {
+        if (!operation.base) return operation.changes;
+
+        return Object.fromEntries(Object.entries(operation.changes).filter(([field, value]) =>
+            field === 'updatedAt' || !this.isSameValue(value, operation.base[field])
+        ));
+    },
+
+    /**
+     * Compare two word field values (strings or arrays)
+     * @param {*} a
+     * @param {*} b
+     * @returns {boolean}
+     */
+    isSameValue(a, b) {
+        return JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+    },
+
+    /**
+     * Read the revision marker of a bin record (bins created before revisions start at 0)
+     * @param {Object} record
+     * @returns {number}
+     */
+    getRevision(record) {
+        return record?.meta?.revision || 0;
+    },
+
+    /**
+     * Number of writes waiting to be synced
+     * @returns {number}
+     */
+    getPendingCount() {
+        return StorageManager.getSyncQueue().length;
+    },
+
+    /**
+     * Let the UI know the pending count changed
+     */
+    notifyQueueChange() {
+        window.dispatchEvent(new CustomEvent('syncqueuechange', {
+            detail: { pending: this.getPendingCount() },
+        }));
+    },
+
+    // --------------------------------------------------------------------------
+    // WORD CACHE
+    // --------------------------------------------------------------------------
+
+    /**
+     * Identify the backend the cache belongs to, so switching settings starts fresh
+     * @returns {string}
+     */
+    getCacheKey() {
+        return JSON.stringify(this.getConfig());
+    },
+
+    /**
+     * Check if cached words can be used without a network round trip
+     * @returns {boolean}
+     */
+    isCacheFresh() {
+        const { words, fetchedAt, key } = this.cache;
+        return !!words &&
+            key === this.getCacheKey() &&
+            Date.now() - fetchedAt < this.CACHE_TTL;
+    },
+
+    /**
+     * Store freshly fetched words
+     * @param {Array} words
+     */
+    setCache(words) {
+        this.cache = { words: words, fetchedAt: Date.now(), key: this.getCacheKey() };
+    },
+
+    /**
+     * Forget cached words so the next read goes to the backend
+     */
+    invalidateCache() {
+        this.cache = { words: null, fetchedAt: 0, key: null };
+    },
+
+    // --------------------------------------------------------------------------
+    // VERSION HISTORY
+    // --------------------------------------------------------------------------
+
+    /**
+     * Check if the active backend keeps old versions
+     * @returns {boolean}
+     */
+    supportsHistory() {
+        const backend = this.getBackend();
+        return this.isConfigured() && typeof backend.listVersions === 'function';
+    },
+
+    /**
+     * List recent versions of the record, newest first
+     * Only version numbers are listed; see fetchVersion for a version's words.
+     * @param {number} limit
+     * @returns {Promise<Array<number>>}
+     */
+    async fetchVersionHistory(limit = this.HISTORY_LIMIT) {
+        const versions = await this.getBackend().listVersions(await this.getRequestConfig());
+        return versions.slice(0, limit);
+    },
+
+    /**
+     * Load one version of the record
+     * @param {number} version
+     * @returns {Promise<Object>} - { version, timestamp, wordCount, words }
+     */
+    async fetchVersion(version) {
+        const record = MigrationManager.migrateRecord(
+            await this.getBackend().fetchVersion(await this.getRequestConfig(), version)
+        );
+
+        return {
+            version: version,
+            timestamp: record.meta?.lastUpdated || record.meta?.createdAt || null,
+            wordCount: (record.words || []).length,
+            words: record.words || [],
+        };
+    },
+
+    /**
+     * Compare an old version against the current words
+     * @param {Array} currentWords
+     * @param {Array} versionWords
+     * @returns {Array} - [{ id, status: 'removed'|'changed'|'added', fields, then, now }]
+     */
+    diffWords(currentWords, versionWords) {
+        const current = new Map(currentWords.map(w => [w.id, w]));
+        const old = new Map(versionWords.map(w => [w.id, w]));
+        const diff = [];
+
+        versionWords.forEach(then => {
+            const now = current.get(then.id);
+            if (!now) {
+                diff.push({ id: then.id, status: 'removed', fields: [], then, now: null });
+                return;
+            }
+
+            const fields = this.WORD_FIELDS.filter(field => !this.isSameValue(then[field], now[field]));
+            if (fields.length > 0) {
+                diff.push({ id: then.id, status: 'changed', fields, then, now });
+            }
+        });
+
+        currentWords.forEach(now => {
+            if (!old.has(now.id)) {
+                diff.push({ id: now.id, status: 'added', fields: [], then: null, now });
+            }
+        });
+
+        return diff;
+    },
+
+    /**
+     * Restore an old version, either entirely or only some of its words
+     * @param {Array} versionWords
+     * @param {Array<string>|null} wordIds - Words to restore, or null for all
+     * @returns {Promise<boolean>} - false if the change is queued for later sync
+     */
+    async restoreVersion(versionWords, wordIds = null) {
+        this.assertWritable();
+
+        if (!wordIds) {
+            return this.saveAllWords(versionWords);
+        }
+
+        const selected = new Set(wordIds);
+        const old = new Map(versionWords.map(w => [w.id, w]));
+        const currentWords = await this.fetchAllWords();
+
+        // Revert changed words and drop words that did not exist back then
+        const restored = currentWords
+            .filter(w => !selected.has(w.id) || old.has(w.id))
+            .map(w => (selected.has(w.id) ? old.get(w.id) : w));
+
+        // Bring back words deleted since
+        versionWords.forEach(w => {
+            if (selected.has(w.id) && !restored.some(r => r.id === w.id)) {
+                restored.push(w);
+            }
+        });
+
+        return this.saveAllWords(this.renumberWords(restored));
     },
 
     // --------------------------------------------------------------------------
@@ -310,6 +1133,21 @@ const ApiManager = {
         return dateWords.length + 1;
     },
 
+    /**
+     * Re-number words within each date, keeping their current order
+     * @param {Array} words
+     * @returns {Array}
+     */
+    renumberWords(words) {
+        const counters = {};
+        return [...words]
+            .sort((a, b) => (a.wordNumber || 0) - (b.wordNumber || 0))
+            .map(w => {
+                counters[w.date] = (counters[w.date] || 0) + 1;
+                return { ...w, wordNumber: counters[w.date] };
+            });
+    },
+
     /**
      * Count words for a specific date
      * @param {string} dateString
@@ -7,9 +7,30 @@
 
 const App = {
     // State
-    currentDate: new Date(),
+    currentDate: null, // Study day being shown, YYYY-MM-DD
     isLoading: false,
 
+    // Showing due words from every date instead of one day's words
+    isReviewMode: false,
+
+    // How the shown words are studied: 'cards', 'quiz', 'spelling', 'dictation' or 'matching'
+    studyMode: 'cards',
+
+    // Words being studied, from the current day or the review queue, before session options apply
+    words: [],
+
+    // Learner row being renamed or deleted: { id, mode: 'rename'|'delete' }
+    profileEditing: null,
+
+    // First day of the month shown in the streak calendar, YYYY-MM-01
+    calendarMonth: null,
+
+    // Backup read from a file, waiting for the learner to merge or replace
+    pendingBackup: null,
+
+    // Last error toast, so repeated failures don't stack up
+    lastErrorToast: { type: null, shownAt: 0 },
+
     // DOM Elements
     elements: {},
 
@@ -23,21 +44,43 @@ const App = {
     async init() {
         console.log('Initializing Vocabulary Flashcard App...');
 
+        // Everything below reads the active learner's data
+        await StorageManager.init();
+        this.currentDate = DateUtils.today();
+
         this.cacheElements();
         this.bindEvents();
+        this.updateProfileButton();
+
+        // Learners only read words; the master key stays in the admin panel
+        ApiManager.useReadOnlyAccess();
 
-        // Initialize flashcard manager
+        // Initialize flashcard manager and the other study modes
         FlashcardManager.init();
+        QuizManager.init();
+        SpellingManager.init();
+        DictationManager.init();
+        MatchingManager.init();
+
+        // Upgrade words cached by an older version of the app
+        await MigrationManager.migrateLocalData();
+
+        // Replay any writes left over from an offline session
+        ApiManager.initSync();
 
         // Update streak
         const streak = StorageManager.updateStreak();
         this.updateStreakDisplay(streak);
 
+        // Merge progress from the learner's other devices
+        ProgressSync.init();
+
         // Set current date display
         this.updateDateDisplay();
 
         // Load words for today
-        await this.loadWordsForDate(this.getDateString(this.currentDate));
+        await this.loadWordsForDate(this.currentDate);
+        this.updateReviewCount();
 
         console.log('App initialized successfully');
     },
@@ -50,11 +93,37 @@ const App = {
             loadingState: document.getElementById('loadingState'),
             emptyState: document.getElementById('emptyState'),
             flashcardScene: document.getElementById('flashcardScene'),
+            directionToggle: document.getElementById('directionToggle'),
             navArrows: document.getElementById('navArrows'),
             cardActions: document.getElementById('cardActions'),
             swipeHint: document.getElementById('swipeHint'),
+            modeTabs: document.getElementById('modeTabs'),
+            sessionOptionsBtn: document.getElementById('sessionOptionsBtn'),
+            sessionModal: document.getElementById('sessionModal'),
+            closeSessionBtn: document.getElementById('closeSessionBtn'),
+            sessionShuffleToggle: document.getElementById('sessionShuffleToggle'),
+            sessionUnlearnedToggle: document.getElementById('sessionUnlearnedToggle'),
+            sessionDifficultToggle: document.getElementById('sessionDifficultToggle'),
+            sessionLimitInput: document.getElementById('sessionLimitInput'),
+            sessionRepeatToggle: document.getElementById('sessionRepeatToggle'),
+            startSessionBtn: document.getElementById('startSessionBtn'),
+            quizView: document.getElementById('quizView'),
+            spellingView: document.getElementById('spellingView'),
+            dictationView: document.getElementById('dictationView'),
+            matchingView: document.getElementById('matchingView'),
+            reviewBtn: document.getElementById('reviewBtn'),
+            reviewCount: document.getElementById('reviewCount'),
             streakBadge: document.getElementById('streakBadge'),
             streakCount: document.getElementById('streakCount'),
+            streakModal: document.getElementById('streakModal'),
+            closeStreakBtn: document.getElementById('closeStreakBtn'),
+            currentStreakValue: document.getElementById('currentStreakValue'),
+            longestStreakValue: document.getElementById('longestStreakValue'),
+            freezeCountValue: document.getElementById('freezeCountValue'),
+            prevMonthBtn: document.getElementById('prevMonthBtn'),
+            nextMonthBtn: document.getElementById('nextMonthBtn'),
+            calendarMonthLabel: document.getElementById('calendarMonthLabel'),
+            streakCalendar: document.getElementById('streakCalendar'),
             currentDateBtn: document.getElementById('currentDateBtn'),
             currentDateText: document.getElementById('currentDateText'),
             prevDateBtn: document.getElementById('prevDateBtn'),
@@ -62,14 +131,42 @@ const App = {
             settingsBtn: document.getElementById('settingsBtn'),
             settingsModal: document.getElementById('settingsModal'),
             closeSettingsBtn: document.getElementById('closeSettingsBtn'),
-            apiKeyInput: document.getElementById('apiKeyInput'),
+            backendSelect: document.getElementById('backendSelect'),
+            endpointInput: document.getElementById('endpointInput'),
+            accessKeyInput: document.getElementById('accessKeyInput'),
             binIdInput: document.getElementById('binIdInput'),
+            progressSyncToggle: document.getElementById('progressSyncToggle'),
+            learnerIdInput: document.getElementById('learnerIdInput'),
+            dayStartSelect: document.getElementById('dayStartSelect'),
+            progressEndpointInput: document.getElementById('progressEndpointInput'),
+            progressBinIdInput: document.getElementById('progressBinIdInput'),
+            progressKeyInput: document.getElementById('progressKeyInput'),
             apiStatus: document.getElementById('apiStatus'),
             apiStatusText: document.getElementById('apiStatusText'),
             testConnectionBtn: document.getElementById('testConnectionBtn'),
             saveSettingsBtn: document.getElementById('saveSettingsBtn'),
+            backupCredentialsToggle: document.getElementById('backupCredentialsToggle'),
+            exportBackupBtn: document.getElementById('exportBackupBtn'),
+            importBackupBtn: document.getElementById('importBackupBtn'),
+            importBackupInput: document.getElementById('importBackupInput'),
+            restoreModal: document.getElementById('restoreModal'),
+            closeRestoreBtn: document.getElementById('closeRestoreBtn'),
+            restoreSummary: document.getElementById('restoreSummary'),
+            restorePreviewList: document.getElementById('restorePreviewList'),
+            mergeBackupBtn: document.getElementById('mergeBackupBtn'),
+            replaceBackupBtn: document.getElementById('replaceBackupBtn'),
             toastContainer: document.getElementById('toastContainer'),
+            profileBtn: document.getElementById('profileBtn'),
+            profileAvatar: document.getElementById('profileAvatar'),
+            profileName: document.getElementById('profileName'),
+            profileModal: document.getElementById('profileModal'),
+            closeProfileBtn: document.getElementById('closeProfileBtn'),
+            profileList: document.getElementById('profileList'),
+            newProfileInput: document.getElementById('newProfileInput'),
+            addProfileBtn: document.getElementById('addProfileBtn'),
             themeToggleBtn: document.getElementById('themeToggleBtn'),
+            syncIndicator: document.getElementById('syncIndicator'),
+            syncIndicatorText: document.getElementById('syncIndicatorText'),
         };
     },
 
@@ -80,8 +177,13 @@ const App = {
         const {
             prevDateBtn, nextDateBtn, currentDateBtn,
             settingsBtn, closeSettingsBtn,
-            testConnectionBtn, saveSettingsBtn,
-            settingsModal, themeToggleBtn
+            testConnectionBtn, saveSettingsBtn, backendSelect,
+            settingsModal, themeToggleBtn, syncIndicator, reviewBtn, modeTabs,
+            sessionOptionsBtn, sessionModal, closeSessionBtn, startSessionBtn,
+            profileBtn, profileModal, closeProfileBtn, profileList, newProfileInput, addProfileBtn,
+            streakBadge, streakModal, closeStreakBtn, prevMonthBtn, nextMonthBtn,
+            exportBackupBtn, importBackupBtn, importBackupInput,
+            restoreModal, closeRestoreBtn, mergeBackupBtn, replaceBackupBtn
         } = this.elements;
 
         // Date navigation
@@ -89,6 +191,23 @@ const App = {
         nextDateBtn?.addEventListener('click', () => this.navigateDate(1));
         currentDateBtn?.addEventListener('click', () => this.showDatePicker());
 
+        // Review queue
+        reviewBtn?.addEventListener('click', () => this.toggleReview());
+
+        // Study mode tabs
+        modeTabs?.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-mode]');
+            if (tab) this.setStudyMode(tab.dataset.mode);
+        });
+
+        // Study session options
+        sessionOptionsBtn?.addEventListener('click', () => this.openSessionOptions());
+        closeSessionBtn?.addEventListener('click', () => this.closeSessionOptions());
+        sessionModal?.addEventListener('click', (e) => {
+            if (e.target === sessionModal) this.closeSessionOptions();
+        });
+        startSessionBtn?.addEventListener('click', () => this.startSession());
+
         // Theme toggle
         themeToggleBtn?.addEventListener('click', () => this.toggleTheme());
 
@@ -99,28 +218,88 @@ const App = {
             if (e.target === settingsModal) this.closeSettings();
         });
 
+        // Streak calendar
+        streakBadge?.addEventListener('click', () => this.openStreakCalendar());
+        closeStreakBtn?.addEventListener('click', () => this.closeStreakCalendar());
+        streakModal?.addEventListener('click', (e) => {
+            if (e.target === streakModal) this.closeStreakCalendar();
+        });
+        prevMonthBtn?.addEventListener('click', () => this.changeCalendarMonth(-1));
+        nextMonthBtn?.addEventListener('click', () => this.changeCalendarMonth(1));
+        window.addEventListener('streakfreeze', (e) => this.handleStreakFreeze(e.detail));
+
+        // Profiles modal
+        profileBtn?.addEventListener('click', () => this.openProfiles());
+        closeProfileBtn?.addEventListener('click', () => this.closeProfiles());
+        profileModal?.addEventListener('click', (e) => {
+            if (e.target === profileModal) this.closeProfiles();
+        });
+        profileList?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) this.handleProfileAction(button.dataset.action, button.closest('.profile-item').dataset.id);
+        });
+        addProfileBtn?.addEventListener('click', () => this.addProfile());
+        newProfileInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addProfile();
+        });
+
         // Settings actions
+        backendSelect?.addEventListener('change', (e) => this.updateBackendFields(e.target.value));
         testConnectionBtn?.addEventListener('click', () => this.testConnection());
         saveSettingsBtn?.addEventListener('click', () => this.saveSettings());
 
+        // Backup and restore
+        exportBackupBtn?.addEventListener('click', () => this.exportBackup());
+        importBackupBtn?.addEventListener('click', () => importBackupInput?.click());
+        importBackupInput?.addEventListener('change', (e) => this.importBackup(e.target));
+        closeRestoreBtn?.addEventListener('click', () => this.closeRestorePreview());
+        restoreModal?.addEventListener('click', (e) => {
+            if (e.target === restoreModal) this.closeRestorePreview();
+        });
+        mergeBackupBtn?.addEventListener('click', () => this.restoreBackup('merge'));
+        replaceBackupBtn?.addEventListener('click', () => this.restoreBackup('replace'));
+
+        // Pending sync indicator
+        window.addEventListener('syncqueuechange', (e) => this.updateSyncIndicator(e.detail.pending));
+        syncIndicator?.addEventListener('click', () => ApiManager.processQueue());
+
+        // Progress merged in from another device
+        window.addEventListener('progresschange', () => {
+            this.updateStreakDisplay(StorageManager.getStreakData().currentStreak);
+            FlashcardManager.refreshProgress();
+            this.updateReviewCount();
+        });
+
+        // Cloud errors (words fall back to the local cache)
+        window.addEventListener('apierror', (e) => this.handleApiError(e.detail.error));
+        window.addEventListener('storageerror', (e) => this.handleStorageError(e.detail));
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.closeSettings();
+                this.closeSessionOptions();
+                this.closeProfiles();
+                this.closeStreakCalendar();
+                this.closeRestorePreview();
             }
         });
 
-        // Initialize theme from localStorage
+        // Initialize theme from the active profile
         this.initTheme();
+        this.updateSessionOptionsButton();
     },
 
     /**
      * Initialize theme from localStorage or system preference
      */
     initTheme() {
-        const savedTheme = localStorage.getItem('vocab_theme');
+        const savedTheme = StorageManager.getTheme();
         const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
 
+        // Profiles can switch themes without a reload
+        document.body.classList.remove('dark-mode', 'light-mode');
+
         if (savedTheme === 'dark' || (!savedTheme && prefersDark)) {
             document.body.classList.add('dark-mode');
             this.updateThemeIcon(true);
@@ -143,7 +322,7 @@ const App = {
             document.body.classList.add('light-mode');
         }
 
-        localStorage.setItem('vocab_theme', isDark ? 'dark' : 'light');
+        StorageManager.saveTheme(isDark ? 'dark' : 'light');
         this.updateThemeIcon(isDark);
     },
 
@@ -170,7 +349,11 @@ const App = {
      * @param {string} dateString - YYYY-MM-DD format
      */
     async loadWordsForDate(dateString) {
-        this.showLoading(true);
+        // Already-fetched words render immediately without the spinner
+        const isCached = ApiManager.isCacheFresh();
+        if (!isCached) {
+            this.showLoading(true);
+        }
 
         try {
             const words = await ApiManager.fetchWordsByDate(dateString);
@@ -178,24 +361,25 @@ const App = {
             if (words.length === 0) {
                 this.showEmptyState();
             } else {
-                this.showFlashcards(words);
+                this.showWords(words);
             }
         } catch (error) {
             console.error('Failed to load words:', error);
             this.showToast('Failed to load words. Using cached data.', 'error');
 
             // Try local cache
-            const cachedWords = StorageManager.getLocalWords();
-            const filteredWords = cachedWords.filter(w => w.date === dateString);
+            const filteredWords = await StorageManager.getLocalWordsByDate(dateString);
 
             if (filteredWords.length === 0) {
                 this.showEmptyState();
             } else {
-                this.showFlashcards(filteredWords);
+                this.showWords(filteredWords);
             }
         }
 
-        this.showLoading(false);
+        if (!isCached) {
+            this.showLoading(false);
+        }
     },
 
     // --------------------------------------------------------------------------
@@ -208,15 +392,12 @@ const App = {
      */
     showLoading(show) {
         this.isLoading = show;
-        const { loadingState, emptyState, flashcardScene, navArrows, cardActions, swipeHint } = this.elements;
+        const { loadingState, emptyState } = this.elements;
 
         if (show) {
             loadingState && (loadingState.style.display = 'flex');
             emptyState && (emptyState.style.display = 'none');
-            flashcardScene && (flashcardScene.style.display = 'none');
-            navArrows && (navArrows.style.display = 'none');
-            cardActions && (cardActions.style.display = 'none');
-            swipeHint && (swipeHint.style.display = 'none');
+            this.hideStudyViews();
         } else {
             loadingState && (loadingState.style.display = 'none');
         }
@@ -226,29 +407,294 @@ const App = {
      * Show empty state
      */
     showEmptyState() {
-        const { emptyState, flashcardScene, navArrows, cardActions, swipeHint } = this.elements;
+        const { emptyState } = this.elements;
 
+        this.words = [];
         emptyState && (emptyState.style.display = 'flex');
-        flashcardScene && (flashcardScene.style.display = 'none');
-        navArrows && (navArrows.style.display = 'none');
-        cardActions && (cardActions.style.display = 'none');
-        swipeHint && (swipeHint.style.display = 'none');
+        this.hideStudyViews();
     },
 
     /**
-     * Show flashcards
+     * Show words in the current study mode
      * @param {Array} words
      */
-    showFlashcards(words) {
-        const { emptyState, flashcardScene, navArrows, cardActions, swipeHint } = this.elements;
+    async showWords(words) {
+        const { sessionModal } = this.elements;
+        this.words = words;
+
+        // A learner's first session waits for them to choose how to study
+        if (sessionModal && !StorageManager.hasSessionOptions()) {
+            const { emptyState } = this.elements;
+            emptyState && (emptyState.style.display = 'none');
+            this.hideStudyViews();
+            this.openSessionOptions();
+            return;
+        }
+
+        const options = StorageManager.getSessionOptions();
+        const session = this.planSession(words, options);
+
+        if (session.length === 0) {
+            // Keep the words so loosening the options brings them back
+            const { emptyState } = this.elements;
+            emptyState && (emptyState.style.display = 'flex');
+            this.hideStudyViews();
+            this.showToast('No words match your study options', 'info');
+            return;
+        }
+
+        // The progress bar follows the shown words in every mode
+        FlashcardManager.loadWords(session, { repeatMissed: options.repeatMissed });
+
+        if (this.studyMode === 'quiz') {
+            await this.showQuiz(session);
+        } else if (this.studyMode === 'spelling') {
+            this.showSpelling(session);
+        } else if (this.studyMode === 'dictation') {
+            this.showDictation(session);
+        } else if (this.studyMode === 'matching') {
+            this.showMatching(session);
+        } else {
+            this.showFlashcards();
+        }
+    },
+
+    /**
+     * Show flashcards for the loaded words
+     */
+    showFlashcards() {
+        const { emptyState, directionToggle, flashcardScene, navArrows, cardActions, swipeHint } = this.elements;
 
         emptyState && (emptyState.style.display = 'none');
+        this.hideStudyViews();
+        directionToggle && (directionToggle.style.display = 'flex');
         flashcardScene && (flashcardScene.style.display = 'block');
         navArrows && (navArrows.style.display = 'flex');
         cardActions && (cardActions.style.display = 'flex');
         swipeHint && (swipeHint.style.display = 'flex');
+    },
+
+    /**
+     * Hide the flashcard, its controls and the other study modes
+     */
+    hideStudyViews() {
+        const {
+            directionToggle, flashcardScene, navArrows, cardActions, swipeHint,
+            quizView, spellingView, dictationView, matchingView
+        } = this.elements;
+
+        directionToggle && (directionToggle.style.display = 'none');
+        flashcardScene && (flashcardScene.style.display = 'none');
+        navArrows && (navArrows.style.display = 'none');
+        cardActions && (cardActions.style.display = 'none');
+        swipeHint && (swipeHint.style.display = 'none');
+        quizView && (quizView.style.display = 'none');
+        spellingView && (spellingView.style.display = 'none');
+        dictationView && (dictationView.style.display = 'none');
+        matchingView && (matchingView.style.display = 'none');
+
+        // Don't keep reading words out or counting down once a mode is gone
+        DictationManager.stop();
+        MatchingManager.stop();
+    },
+
+    /**
+     * Start a meaning quiz on the given words
+     * Wrong choices come from every word in the bin, not just these.
+     * @param {Array} words
+     */
+    async showQuiz(words) {
+        const { emptyState, quizView } = this.elements;
+        const pool = await ApiManager.fetchAllWords();
+
+        if (!QuizManager.start(words, pool)) {
+            this.showToast('Not enough Bangla meanings for a quiz yet', 'info');
+            this.setStudyMode('cards');
+            return;
+        }
+
+        emptyState && (emptyState.style.display = 'none');
+        this.hideStudyViews();
+        quizView && (quizView.style.display = 'block');
+    },
+
+    /**
+     * Start spelling practice on the given words
+     * @param {Array} words
+     */
+    showSpelling(words) {
+        const { emptyState, spellingView } = this.elements;
+
+        // Shown first so the answer box can take focus
+        emptyState && (emptyState.style.display = 'none');
+        this.hideStudyViews();
+        spellingView && (spellingView.style.display = 'block');
+
+        if (!SpellingManager.start(words)) {
+            this.showToast('These words have no meanings to spell from', 'info');
+            this.setStudyMode('cards');
+        }
+    },
+
+    /**
+     * Start listening dictation on the given words
+     * @param {Array} words
+     */
+    showDictation(words) {
+        const { emptyState, dictationView } = this.elements;
+
+        // Shown first so the answer box can take focus
+        emptyState && (emptyState.style.display = 'none');
+        this.hideStudyViews();
+        dictationView && (dictationView.style.display = 'block');
+
+        if (!DictationManager.start(words)) {
+            this.showToast('No words to dictate', 'info');
+            this.setStudyMode('cards');
+        }
+    },
+
+    /**
+     * Start the synonym and antonym matching game on the given words
+     * @param {Array} words
+     */
+    showMatching(words) {
+        const { emptyState, matchingView } = this.elements;
+
+        // Hiding the other views stops any running clock, so it goes first
+        emptyState && (emptyState.style.display = 'none');
+        this.hideStudyViews();
+        matchingView && (matchingView.style.display = 'block');
+
+        if (!MatchingManager.start(words)) {
+            this.showToast('Not enough synonyms or antonyms to match', 'info');
+            this.setStudyMode('cards');
+        }
+    },
+
+    /**
+     * Switch how the shown words are studied
+     * @param {string} mode - 'cards', 'quiz', 'spelling', 'dictation' or 'matching'
+     */
+    setStudyMode(mode) {
+        const { modeTabs } = this.elements;
+        if (mode === this.studyMode) return;
+
+        this.studyMode = mode;
+        modeTabs?.querySelectorAll('[data-mode]').forEach(tab => {
+            const isActive = tab.dataset.mode === mode;
+            tab.classList.toggle('active', isActive);
+            tab.setAttribute('aria-selected', String(isActive));
+        });
+
+        if (this.words.length > 0) {
+            this.showWords(this.words);
+        }
+    },
+
+    // --------------------------------------------------------------------------
+    // STUDY SESSION
+    // --------------------------------------------------------------------------
+
+    /**
+     * Filter, shuffle and cut down words for a study session
+     * Ticking both filters keeps words that are unlearned or difficult.
+     * @param {Array} words
+     * @param {Object} options - From StorageManager.getSessionOptions
+     * @returns {Array}
+     */
+    planSession(words, options) {
+        let session = words;
+
+        if (options.unlearnedOnly || options.difficultOnly) {
+            session = session.filter(word => {
+                const entry = StorageManager.getWordProgress(word.id);
+                return (options.unlearnedOnly && !entry?.learned)
+                    || (options.difficultOnly && Scheduler.isDifficult(entry));
+            });
+        }
+        if (options.shuffle) {
+            session = Utils.shuffle(session);
+        }
+        if (options.limit > 0) {
+            session = session.slice(0, options.limit);
+        }
+
+        return session;
+    },
+
+    /**
+     * Open the study options sheet with the learner's saved options
+     */
+    openSessionOptions() {
+        const {
+            sessionModal, sessionShuffleToggle, sessionUnlearnedToggle,
+            sessionDifficultToggle, sessionLimitInput, sessionRepeatToggle
+        } = this.elements;
+        const options = StorageManager.getSessionOptions();
+
+        if (sessionShuffleToggle) sessionShuffleToggle.checked = options.shuffle;
+        if (sessionUnlearnedToggle) sessionUnlearnedToggle.checked = options.unlearnedOnly;
+        if (sessionDifficultToggle) sessionDifficultToggle.checked = options.difficultOnly;
+        if (sessionLimitInput) sessionLimitInput.value = options.limit > 0 ? options.limit : '';
+        if (sessionRepeatToggle) sessionRepeatToggle.checked = options.repeatMissed;
+
+        sessionModal?.classList.add('active');
+    },
+
+    /**
+     * Close the study options sheet
+     */
+    closeSessionOptions() {
+        const { sessionModal } = this.elements;
+        if (!sessionModal?.classList.contains('active')) return;
 
-        FlashcardManager.loadWords(words);
+        sessionModal.classList.remove('active');
+
+        // Dismissing the first-run sheet keeps the defaults, so it isn't asked again
+        if (!StorageManager.hasSessionOptions()) {
+            StorageManager.saveSessionOptions(StorageManager.getSessionOptions());
+            if (this.words.length > 0) {
+                this.showWords(this.words);
+            }
+        }
+    },
+
+    /**
+     * Save the chosen options and restart the session with them
+     */
+    startSession() {
+        const {
+            sessionShuffleToggle, sessionUnlearnedToggle,
+            sessionDifficultToggle, sessionLimitInput, sessionRepeatToggle
+        } = this.elements;
+
+        StorageManager.saveSessionOptions({
+            shuffle: !!sessionShuffleToggle?.checked,
+            unlearnedOnly: !!sessionUnlearnedToggle?.checked,
+            difficultOnly: !!sessionDifficultToggle?.checked,
+            limit: sessionLimitInput?.value,
+            repeatMissed: !!sessionRepeatToggle?.checked,
+        });
+
+        this.updateSessionOptionsButton();
+        this.closeSessionOptions();
+
+        if (this.words.length > 0) {
+            this.showWords(this.words);
+        }
+    },
+
+    /**
+     * Highlight the options button while any option changes the session
+     */
+    updateSessionOptionsButton() {
+        const { sessionOptionsBtn } = this.elements;
+        const defaults = StorageManager.normalizeSessionOptions(null);
+        const options = StorageManager.getSessionOptions();
+
+        sessionOptionsBtn?.classList.toggle('active',
+            Object.keys(defaults).some(name => options[name] !== defaults[name]));
     },
 
     // --------------------------------------------------------------------------
@@ -260,19 +706,15 @@ const App = {
      * @param {number} direction - -1 for previous, 1 for next
      */
     navigateDate(direction) {
-        const newDate = new Date(this.currentDate);
-        newDate.setDate(newDate.getDate() + direction);
-        newDate.setHours(0, 0, 0, 0);
+        const newDate = DateUtils.addDays(this.currentDate, direction);
 
         // Don't allow future dates
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        if (newDate.getTime() > today.getTime()) return;
+        if (newDate > DateUtils.today()) return;
 
+        this.setReviewMode(false);
         this.currentDate = newDate;
         this.updateDateDisplay();
-        this.loadWordsForDate(this.getDateString(newDate));
+        this.loadWordsForDate(newDate);
     },
 
     /**
@@ -281,19 +723,15 @@ const App = {
     updateDateDisplay() {
         const { currentDateText, nextDateBtn } = this.elements;
 
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        const current = new Date(this.currentDate);
-        current.setHours(0, 0, 0, 0);
-
-        const yesterday = new Date(today);
-        yesterday.setDate(yesterday.getDate() - 1);
+        const today = DateUtils.today();
+        const yesterday = DateUtils.addDays(today, -1);
 
         let displayText;
-        if (current.getTime() === today.getTime()) {
+        if (this.isReviewMode) {
+            displayText = 'Review';
+        } else if (this.currentDate === today) {
             displayText = 'Today';
-        } else if (current.getTime() === yesterday.getTime()) {
+        } else if (this.currentDate === yesterday) {
             displayText = 'Yesterday';
         } else {
             displayText = this.formatDateDisplay(this.currentDate);
@@ -305,18 +743,18 @@ const App = {
 
         // Disable next button if at today
         if (nextDateBtn) {
-            nextDateBtn.disabled = current.getTime() >= today.getTime();
+            nextDateBtn.disabled = this.currentDate >= today;
         }
     },
 
     /**
      * Format date for display
-     * @param {Date} date
+     * @param {string} dateString - YYYY-MM-DD
      * @returns {string}
      */
-    formatDateDisplay(date) {
+    formatDateDisplay(dateString) {
         const options = { month: 'short', day: 'numeric' };
-        return date.toLocaleDateString('en-US', options);
+        return DateUtils.parse(dateString).toLocaleDateString('en-US', options);
     },
 
     /**
@@ -325,12 +763,12 @@ const App = {
     showDatePicker() {
         const input = document.createElement('input');
         input.type = 'date';
-        input.value = this.getDateString(this.currentDate);
-        input.max = this.getDateString(new Date());
+        input.value = this.currentDate;
+        input.max = DateUtils.today();
 
         input.addEventListener('change', () => {
-            const selectedDate = new Date(input.value + 'T00:00:00');
-            this.currentDate = selectedDate;
+            this.setReviewMode(false);
+            this.currentDate = input.value;
             this.updateDateDisplay();
             this.loadWordsForDate(input.value);
         });
@@ -338,6 +776,319 @@ const App = {
         input.click();
     },
 
+    // --------------------------------------------------------------------------
+    // REVIEW QUEUE
+    // --------------------------------------------------------------------------
+
+    /**
+     * Switch between reviewing due words and the current day's words
+     */
+    async toggleReview() {
+        if (this.isReviewMode) {
+            this.setReviewMode(false);
+            await this.loadWordsForDate(this.currentDate);
+            return;
+        }
+
+        const queue = await this.getReviewQueue();
+        if (queue.length === 0) {
+            this.showToast('No words waiting for review', 'info');
+            return;
+        }
+
+        this.setReviewMode(true);
+        this.showWords(queue);
+    },
+
+    /**
+     * Turn review mode on or off and update the header to match
+     * @param {boolean} on
+     */
+    setReviewMode(on) {
+        const { reviewBtn } = this.elements;
+
+        this.isReviewMode = on;
+        reviewBtn?.setAttribute('aria-pressed', String(on));
+        this.updateDateDisplay();
+    },
+
+    /**
+     * Gather the active learner's due, difficult and new words from all dates
+     * @returns {Promise<Array>} - Words in review order
+     */
+    async getReviewQueue() {
+        try {
+            const words = await ApiManager.fetchAllWords();
+            return Scheduler.getReviewQueue(words, StorageManager.getProgress(), DateUtils.today());
+        } catch (error) {
+            console.error('Failed to build review queue:', error);
+            return Scheduler.getReviewQueue(StorageManager.getLocalWords(), StorageManager.getProgress(), DateUtils.today());
+        }
+    },
+
+    /**
+     * Reload the review queue, e.g. after switching learners
+     */
+    async loadReviewQueue() {
+        const queue = await this.getReviewQueue();
+
+        if (queue.length === 0) {
+            this.setReviewMode(false);
+            await this.loadWordsForDate(this.currentDate);
+        } else {
+            this.showWords(queue);
+        }
+    },
+
+    /**
+     * Show how many words are waiting for review on the header badge
+     */
+    async updateReviewCount() {
+        const { reviewBtn, reviewCount } = this.elements;
+        const count = (await this.getReviewQueue()).length;
+
+        if (reviewCount) {
+            reviewCount.textContent = count > 99 ? '99+' : count;
+            reviewCount.style.display = count > 0 ? 'flex' : 'none';
+        }
+        reviewBtn?.setAttribute('aria-label', `Review due words, ${count} waiting`);
+    },
+
+    // --------------------------------------------------------------------------
+    // LEARNER PROFILES
+    // --------------------------------------------------------------------------
+
+    /**
+     * Show the active learner in the header
+     */
+    updateProfileButton() {
+        const { profileAvatar, profileName } = this.elements;
+        const profile = StorageManager.getActiveProfile();
+        if (!profile) return;
+
+        if (profileAvatar) profileAvatar.textContent = profile.name.charAt(0);
+        if (profileName) profileName.textContent = profile.name;
+    },
+
+    /**
+     * Open profiles modal
+     */
+    openProfiles() {
+        const { profileModal, newProfileInput } = this.elements;
+
+        this.profileEditing = null;
+        this.renderProfileList();
+        if (newProfileInput) newProfileInput.value = '';
+
+        profileModal?.classList.add('active');
+    },
+
+    /**
+     * Close profiles modal
+     */
+    closeProfiles() {
+        const { profileModal } = this.elements;
+        profileModal?.classList.remove('active');
+    },
+
+    /**
+     * Render the list of learners
+     */
+    renderProfileList() {
+        const { profileList } = this.elements;
+        if (!profileList) return;
+
+        const profiles = StorageManager.getProfiles();
+        const activeId = StorageManager.getActiveProfile()?.id;
+
+        profileList.innerHTML = profiles
+            .map(profile => this.renderProfileItem(profile, profile.id === activeId, profiles.length > 1))
+            .join('');
+
+        profileList.querySelector('.profile-item .input')?.focus();
+    },
+
+    /**
+     * Render one learner row
+     * @param {Object} profile
+     * @param {boolean} isActive
+     * @param {boolean} canDelete - false for the last remaining profile
+     * @returns {string}
+     */
+    renderProfileItem(profile, isActive, canDelete) {
+        const name = Utils.escapeHtml(profile.name);
+        const mode = this.profileEditing?.id === profile.id ? this.profileEditing.mode : null;
+
+        if (mode === 'rename') {
+            return `
+        <li class="profile-item" data-id="${profile.id}">
+          <input type="text" class="input" value="${name}" maxlength="30" aria-label="New name">
+          <button class="btn btn-primary" data-action="save-name">Save</button>
+          <button class="btn btn-outline" data-action="cancel">Cancel</button>
+        </li>
+      `;
+        }
+
+        if (mode === 'delete') {
+            return `
+        <li class="profile-item" data-id="${profile.id}">
+          <span class="profile-confirm">Delete ${name} and all their progress?</span>
+          <button class="btn btn-outline" data-action="cancel">Cancel</button>
+          <button class="btn btn-primary" data-action="confirm-delete">Delete</button>
+        </li>
+      `;
+        }
+
+        return `
+        <li class="profile-item ${isActive ? 'active' : ''}" data-id="${profile.id}">
+          <button class="profile-select" data-action="switch" aria-label="Study as ${name}">
+            <span class="profile-avatar">${Utils.escapeHtml(profile.name.charAt(0))}</span>
+            <span class="profile-name">${name}</span>
+          </button>
+          <button class="btn-icon" data-action="rename" aria-label="Rename ${name}">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+              <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+            </svg>
+          </button>
+          ${canDelete ? `
+          <button class="btn-icon" data-action="delete" aria-label="Delete ${name}">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="3 6 5 6 21 6"></polyline>
+              <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+            </svg>
+          </button>` : ''}
+        </li>
+      `;
+    },
+
+    /**
+     * Handle a button press in the learner list
+     * @param {string} action
+     * @param {string} profileId
+     */
+    handleProfileAction(action, profileId) {
+        switch (action) {
+            case 'switch':
+                this.switchProfile(profileId);
+                return;
+            case 'rename':
+            case 'delete':
+                this.profileEditing = { id: profileId, mode: action };
+                break;
+            case 'save-name':
+                if (!this.renameProfile(profileId)) return;
+                this.profileEditing = null;
+                break;
+            case 'confirm-delete':
+                this.deleteProfile(profileId);
+                this.profileEditing = null;
+                break;
+            default:
+                this.profileEditing = null;
+        }
+        this.renderProfileList();
+    },
+
+    /**
+     * Check a learner name is usable
+     * @param {string} name
+     * @param {string} ignoreId - Profile being renamed
+     * @returns {boolean}
+     */
+    validateProfileName(name, ignoreId = null) {
+        if (!name) {
+            this.showToast('Please enter a name', 'error');
+            return false;
+        }
+
+        const taken = StorageManager.getProfiles()
+            .some(p => p.id !== ignoreId && p.name.toLowerCase() === name.toLowerCase());
+        if (taken) {
+            this.showToast(`There is already a learner called ${name}`, 'error');
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Create a learner from the form and switch to them
+     */
+    addProfile() {
+        const { newProfileInput } = this.elements;
+        const name = newProfileInput?.value?.trim() || '';
+        if (!this.validateProfileName(name)) return;
+
+        const profile = StorageManager.createProfile(name);
+        newProfileInput.value = '';
+        this.switchProfile(profile.id);
+    },
+
+    /**
+     * Save the name typed into a learner row
+     * @param {string} profileId
+     * @returns {boolean} - false if the name was rejected
+     */
+    renameProfile(profileId) {
+        const { profileList } = this.elements;
+        const input = profileList?.querySelector(`.profile-item[data-id="${profileId}"] .input`);
+        const name = input?.value?.trim() || '';
+        if (!this.validateProfileName(name, profileId)) return false;
+
+        StorageManager.renameProfile(profileId, name);
+        this.updateProfileButton();
+        return true;
+    },
+
+    /**
+     * Delete a learner and their progress
+     * @param {string} profileId
+     */
+    deleteProfile(profileId) {
+        const wasActive = StorageManager.getActiveProfile()?.id === profileId;
+        if (!StorageManager.deleteProfile(profileId)) return;
+
+        if (wasActive) {
+            this.loadActiveProfile();
+        }
+        this.showToast('Learner deleted', 'info');
+    },
+
+    /**
+     * Study as another learner
+     * @param {string} profileId
+     */
+    switchProfile(profileId) {
+        if (!StorageManager.setActiveProfile(profileId)) return;
+
+        this.loadActiveProfile();
+        this.closeProfiles();
+        this.showToast(`Studying as ${StorageManager.getActiveProfile().name}`, 'success');
+    },
+
+    /**
+     * Refresh everything that depends on the active learner
+     */
+    loadActiveProfile() {
+        this.updateProfileButton();
+        this.initTheme();
+        this.updateSessionOptionsButton();
+
+        const streak = StorageManager.updateStreak();
+        this.updateStreakDisplay(streak);
+        FlashcardManager.refreshProgress();
+
+        // Each learner has their own reviews waiting, and their own study options
+        if (this.isReviewMode) {
+            this.loadReviewQueue();
+        } else if (this.words.length > 0) {
+            this.showWords(this.words);
+        }
+        this.updateReviewCount();
+
+        ProgressSync.sync();
+    },
+
     // --------------------------------------------------------------------------
     // STREAK DISPLAY
     // --------------------------------------------------------------------------
@@ -368,6 +1119,131 @@ const App = {
         }
     },
 
+    /**
+     * Tell the learner a streak freeze was used or earned
+     * @param {Object} detail - { used, earned, freezes }
+     */
+    handleStreakFreeze({ used, earned }) {
+        if (used) {
+            const days = used === 1 ? 'a missed day' : `${used} missed days`;
+            this.showToast(`Streak freeze used to cover ${days}. Your streak is safe!`, 'info');
+        } else if (earned) {
+            this.showToast(`Streak freeze earned for ${StorageManager.STREAK_FREEZE_EVERY} days in a row!`, 'success');
+        }
+    },
+
+    // --------------------------------------------------------------------------
+    // STREAK CALENDAR
+    // --------------------------------------------------------------------------
+
+    /**
+     * Open the streak history at the current month
+     */
+    openStreakCalendar() {
+        const { streakModal } = this.elements;
+
+        this.calendarMonth = DateUtils.startOfMonth(DateUtils.today());
+        this.renderStreakCalendar();
+        streakModal?.classList.add('active');
+    },
+
+    /**
+     * Close the streak history
+     */
+    closeStreakCalendar() {
+        const { streakModal } = this.elements;
+        streakModal?.classList.remove('active');
+    },
+
+    /**
+     * Show an earlier or later month
+     * @param {number} direction - -1 for previous, 1 for next
+     */
+    changeCalendarMonth(direction) {
+        const month = DateUtils.addMonths(this.calendarMonth, direction);
+
+        // Don't allow future months, or months before the streak history kept
+        if (month > DateUtils.today() || month < this.getOldestCalendarMonth()) return;
+
+        this.calendarMonth = month;
+        this.renderStreakCalendar();
+    },
+
+    /**
+     * Get the first month the streak calendar can show
+     * @returns {string} - YYYY-MM-01
+     */
+    getOldestCalendarMonth() {
+        return DateUtils.startOfMonth(DateUtils.addDays(DateUtils.today(), 1 - StorageManager.STREAK_HISTORY_DAYS));
+    },
+
+    /**
+     * Render the streak totals and the heatmap for the shown month
+     */
+    renderStreakCalendar() {
+        const {
+            currentStreakValue, longestStreakValue, freezeCountValue,
+            calendarMonthLabel, streakCalendar, prevMonthBtn, nextMonthBtn
+        } = this.elements;
+        const streakData = StorageManager.getStreakData();
+        const learnedCounts = StorageManager.getLearnedCountsByDay();
+        const activeDays = new Set(streakData.activeDays);
+        const frozenDays = new Set(streakData.frozenDays);
+        const today = DateUtils.today();
+        const month = this.calendarMonth;
+        const nextMonth = DateUtils.addMonths(month, 1);
+
+        if (currentStreakValue) currentStreakValue.textContent = streakData.currentStreak;
+        if (longestStreakValue) longestStreakValue.textContent = streakData.longestStreak;
+        if (freezeCountValue) freezeCountValue.textContent = streakData.freezes;
+
+        if (calendarMonthLabel) {
+            calendarMonthLabel.textContent = DateUtils.parse(month)
+                .toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        }
+        if (prevMonthBtn) {
+            prevMonthBtn.disabled = month <= this.getOldestCalendarMonth();
+        }
+        if (nextMonthBtn) {
+            nextMonthBtn.disabled = nextMonth > today;
+        }
+        if (!streakCalendar) return;
+
+        // Leave blanks before the 1st so days line up under their weekday
+        const cells = Array(DateUtils.parse(month).getDay()).fill('<span class="calendar-day empty"></span>');
+
+        for (let day = month; day < nextMonth; day = DateUtils.addDays(day, 1)) {
+            const learned = learnedCounts[day] || 0;
+            const classes = ['calendar-day'];
+            let label = this.formatDateDisplay(day);
+
+            if (activeDays.has(day)) {
+                classes.push(`level-${this.getHeatLevel(learned)}`);
+                label += learned ? `: ${learned} learned` : ': studied';
+            } else if (frozenDays.has(day)) {
+                classes.push('frozen');
+                label += ': streak freeze';
+            }
+            if (day === today) classes.push('today');
+
+            cells.push(`<span class="${classes.join(' ')}" title="${label}" aria-label="${label}">${DateUtils.parse(day).getDate()}</span>`);
+        }
+
+        streakCalendar.innerHTML = cells.join('');
+    },
+
+    /**
+     * Pick a heatmap shade for an active day
+     * @param {number} learned - Words learned that day
+     * @returns {number} - 1 (studied) to 4 (most words learned)
+     */
+    getHeatLevel(learned) {
+        if (learned >= 10) return 4;
+        if (learned >= 5) return 3;
+        if (learned >= 1) return 2;
+        return 1;
+    },
+
     // --------------------------------------------------------------------------
     // SETTINGS MODAL
     // --------------------------------------------------------------------------
@@ -376,12 +1252,17 @@ const App = {
      * Open settings modal
      */
     openSettings() {
-        const { settingsModal, apiKeyInput, binIdInput } = this.elements;
+        const { settingsModal, backendSelect, endpointInput, accessKeyInput, binIdInput, dayStartSelect } = this.elements;
 
         // Load current settings
-        const { apiKey, binId } = StorageManager.getApiCredentials();
-        if (apiKeyInput) apiKeyInput.value = apiKey;
+        const { backend, accessKey, binId, endpoint } = StorageManager.getApiCredentials();
+        if (backendSelect) backendSelect.value = backend;
+        if (endpointInput) endpointInput.value = endpoint;
+        if (accessKeyInput) accessKeyInput.value = accessKey;
         if (binIdInput) binIdInput.value = binId;
+        this.updateBackendFields(backend);
+        this.loadProgressSyncSettings();
+        if (dayStartSelect) dayStartSelect.value = StorageManager.getDayStartHour();
 
         // Update connection status
         this.updateConnectionStatus();
@@ -397,22 +1278,83 @@ const App = {
         settingsModal?.classList.remove('active');
     },
 
+    /**
+     * Show only the settings fields the selected backend uses
+     * @param {string} backendId
+     */
+    updateBackendFields(backendId) {
+        const { settingsModal } = this.elements;
+
+        settingsModal?.querySelectorAll('[data-backends]').forEach(el => {
+            el.style.display = el.dataset.backends.split(' ').includes(backendId) ? '' : 'none';
+        });
+    },
+
+    /**
+     * Read backend settings from the form
+     * @returns {Object} - { backend, accessKey, binId, endpoint, readOnly }
+     */
+    getSettingsFormValues() {
+        const { backendSelect, endpointInput, accessKeyInput, binIdInput } = this.elements;
+
+        return {
+            backend: backendSelect?.value || StorageBackends.DEFAULT,
+            accessKey: accessKeyInput?.value?.trim() || '',
+            binId: binIdInput?.value?.trim() || '',
+            endpoint: endpointInput?.value?.trim() || '',
+            readOnly: true,
+        };
+    },
+
+    /**
+     * Fill the progress sync fields from saved settings
+     */
+    loadProgressSyncSettings() {
+        const {
+            progressSyncToggle, learnerIdInput, progressEndpointInput, progressBinIdInput, progressKeyInput
+        } = this.elements;
+        const settings = StorageManager.getProgressSyncSettings();
+
+        if (progressSyncToggle) progressSyncToggle.checked = settings.enabled;
+        if (learnerIdInput) learnerIdInput.value = settings.learnerId;
+        if (progressEndpointInput) progressEndpointInput.value = settings.endpoint;
+        if (progressBinIdInput) progressBinIdInput.value = settings.binId;
+        if (progressKeyInput) progressKeyInput.value = settings.key;
+    },
+
+    /**
+     * Read progress sync settings from the form
+     * @returns {Object} - { enabled, learnerId, binId, key, endpoint }
+     */
+    getProgressSyncFormValues() {
+        const {
+            progressSyncToggle, learnerIdInput, progressEndpointInput, progressBinIdInput, progressKeyInput
+        } = this.elements;
+
+        return {
+            enabled: !!progressSyncToggle?.checked,
+            learnerId: learnerIdInput?.value?.trim() || '',
+            binId: progressBinIdInput?.value?.trim() || '',
+            key: progressKeyInput?.value?.trim() || '',
+            endpoint: progressEndpointInput?.value?.trim() || '',
+        };
+    },
+
     /**
      * Test API connection
      */
     async testConnection() {
-        const { apiKeyInput, binIdInput, testConnectionBtn } = this.elements;
-
-        const apiKey = apiKeyInput?.value?.trim();
-        const binId = binIdInput?.value?.trim();
+        const { testConnectionBtn } = this.elements;
+        const config = this.getSettingsFormValues();
+        const backend = StorageBackends.get(config.backend);
 
-        if (!apiKey || !binId) {
-            this.showToast('Please enter API key and Bin ID', 'error');
+        if (!backend.isConfigured(config)) {
+            this.showToast(`Please fill in the ${backend.label} settings`, 'error');
             return;
         }
 
         // Temporarily save for testing
-        StorageManager.saveApiCredentials(apiKey, binId);
+        StorageManager.saveAccessCredentials(config.accessKey, config.binId, config.backend, config.endpoint);
 
         testConnectionBtn.disabled = true;
         testConnectionBtn.textContent = 'Testing...';
@@ -427,7 +1369,7 @@ const App = {
         if (success) {
             this.showToast('Connection successful!', 'success');
         } else {
-            this.showToast('Connection failed. Check your credentials.', 'error');
+            this.showErrorToast(ApiManager.lastError, 'Connection failed. Check your read-only access key.');
         }
     },
 
@@ -435,23 +1377,46 @@ const App = {
      * Save settings
      */
     async saveSettings() {
-        const { apiKeyInput, binIdInput } = this.elements;
+        const config = this.getSettingsFormValues();
+        const backend = StorageBackends.get(config.backend);
 
-        const apiKey = apiKeyInput?.value?.trim();
-        const binId = binIdInput?.value?.trim();
+        const progressSettings = this.getProgressSyncFormValues();
+        if (progressSettings.enabled && !ProgressSync.isEnabled(progressSettings, config.backend)) {
+            this.showToast('Please fill in the Progress Sync settings', 'error');
+            return;
+        }
 
-        if (apiKey && binId) {
-            StorageManager.saveApiCredentials(apiKey, binId);
+        if (backend.isConfigured(config)) {
+            StorageManager.saveAccessCredentials(config.accessKey, config.binId, config.backend, config.endpoint);
+            StorageManager.saveProgressSyncSettings(progressSettings);
+            this.saveDayStartHour();
             this.showToast('Settings saved!', 'success');
             this.closeSettings();
 
+            ProgressSync.sync();
+
             // Reload words
-            await this.loadWordsForDate(this.getDateString(this.currentDate));
+            await this.loadWordsForDate(this.currentDate);
         } else {
-            this.showToast('Please enter both API key and Bin ID', 'error');
+            this.showToast(`Please fill in the ${backend.label} settings`, 'error');
         }
     },
 
+    /**
+     * Save the hour a new study day begins, moving to the new today if it changed
+     */
+    saveDayStartHour() {
+        const { dayStartSelect } = this.elements;
+        if (!dayStartSelect) return;
+
+        const wasToday = this.currentDate === DateUtils.today();
+        StorageManager.saveDayStartHour(dayStartSelect.value);
+
+        if (wasToday) this.currentDate = DateUtils.today();
+        this.updateDateDisplay();
+        this.updateStreakDisplay(StorageManager.updateStreak());
+    },
+
     /**
      * Update connection status display
      * @param {boolean} connected
@@ -460,7 +1425,7 @@ const App = {
         const { apiStatus, apiStatusText } = this.elements;
 
         if (!connected) {
-            connected = StorageManager.hasApiCredentials();
+            connected = ApiManager.isConfigured();
         }
 
         if (apiStatus) {
@@ -471,10 +1436,227 @@ const App = {
         }
     },
 
+    /**
+     * Show how many changes are waiting to be synced
+     * @param {number} pending
+     */
+    updateSyncIndicator(pending) {
+        const { syncIndicator, syncIndicatorText } = this.elements;
+        if (!syncIndicator) return;
+
+        syncIndicator.style.display = pending > 0 ? 'flex' : 'none';
+        if (syncIndicatorText) {
+            syncIndicatorText.textContent = `${pending} ${pending === 1 ? 'change' : 'changes'} pending sync`;
+        }
+    },
+
+    // --------------------------------------------------------------------------
+    // BACKUP & RESTORE
+    // --------------------------------------------------------------------------
+
+    /**
+     * Download every learner's state as a JSON file
+     */
+    exportBackup() {
+        const { backupCredentialsToggle } = this.elements;
+
+        try {
+            const backup = BackupManager.createBackup({ includeCredentials: !!backupCredentialsToggle?.checked });
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = BackupManager.getFileName();
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+
+            this.showToast('Backup saved', 'success');
+        } catch (error) {
+            console.error('Failed to export backup:', error);
+            this.showToast('Could not create the backup', 'error');
+        }
+    },
+
+    /**
+     * Read a backup file and show what restoring it would change
+     * @param {HTMLInputElement} input
+     */
+    async importBackup(input) {
+        const file = input.files?.[0];
+        if (!file) return;
+
+        try {
+            this.pendingBackup = BackupManager.parse(await file.text());
+        } catch (error) {
+            console.error('Failed to read backup:', error);
+            this.showToast(error.message, 'error');
+            return;
+        } finally {
+            // Let the same file be picked again
+            input.value = '';
+        }
+
+        this.renderRestorePreview();
+        this.elements.restoreModal?.classList.add('active');
+    },
+
+    /**
+     * Describe the pending backup and what it would change
+     */
+    renderRestorePreview() {
+        const { restoreSummary, restorePreviewList } = this.elements;
+        const preview = BackupManager.preview(this.pendingBackup);
+
+        if (restoreSummary) {
+            const exported = preview.exportedAt
+                ? ` from ${new Date(preview.exportedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+                : '';
+            const count = preview.profiles.length;
+            const keys = preview.includesCredentials ? 'with access keys' : 'without access keys';
+            restoreSummary.textContent = `Backup${exported}: ${count} ${count === 1 ? 'learner' : 'learners'}, `
+                + `${preview.backend} storage, ${keys}.`;
+        }
+
+        if (!restorePreviewList) return;
+
+        const items = preview.profiles.map(profile => {
+            const name = Utils.escapeHtml(profile.name);
+            if (profile.isNew) {
+                return `<li><strong>${name}</strong> (new): ${profile.learnedInFile} learned words, `
+                    + `${profile.streakInFile}-day streak</li>`;
+            }
+            return `<li><strong>${name}</strong>: ${profile.learnedNow} learned words now, `
+                + `${profile.learnedInFile} in the backup, ${profile.learnedAfterMerge} after merging. `
+                + `Streak ${profile.streakNow} days now, ${profile.streakInFile} in the backup.</li>`;
+        });
+        preview.removed.forEach(name => {
+            items.push(`<li><strong>${Utils.escapeHtml(name)}</strong> is only on this device: `
+                + 'kept when merging, deleted when replacing</li>');
+        });
+
+        restorePreviewList.innerHTML = items.join('');
+    },
+
+    /**
+     * Close the restore preview without restoring
+     */
+    closeRestorePreview() {
+        const { restoreModal } = this.elements;
+        restoreModal?.classList.remove('active');
+        this.pendingBackup = null;
+    },
+
+    /**
+     * Restore the pending backup
+     * @param {string} mode - 'merge' or 'replace'
+     */
+    async restoreBackup(mode) {
+        const { mergeBackupBtn, replaceBackupBtn } = this.elements;
+        if (!this.pendingBackup) return;
+
+        mergeBackupBtn && (mergeBackupBtn.disabled = true);
+        replaceBackupBtn && (replaceBackupBtn.disabled = true);
+
+        try {
+            await BackupManager.restore(this.pendingBackup, mode);
+            this.showToast(mode === 'merge' ? 'Backup merged' : 'Backup restored', 'success');
+        } catch (error) {
+            console.error('Failed to restore backup:', error);
+            this.showToast('Could not restore the backup', 'error');
+        } finally {
+            mergeBackupBtn && (mergeBackupBtn.disabled = false);
+            replaceBackupBtn && (replaceBackupBtn.disabled = false);
+        }
+
+        this.closeRestorePreview();
+        this.closeSettings();
+
+        // Show the restored learner, settings and words
+        this.setReviewMode(false);
+        this.currentDate = DateUtils.today();
+        this.updateDateDisplay();
+        this.loadActiveProfile();
+        await this.loadWordsForDate(this.currentDate);
+    },
+
     // --------------------------------------------------------------------------
     // TOAST NOTIFICATIONS
     // --------------------------------------------------------------------------
 
+    /**
+     * Turn a typed API error into an actionable message
+     * @param {Error} error
+     * @returns {string|null}
+     */
+    getErrorMessage(error) {
+        const { AUTH, NOT_FOUND, RATE_LIMITED, OFFLINE, TIMEOUT, SERVER, INVALID_RESPONSE, UNEXPECTED, READ_ONLY } = ApiManager.ERROR_TYPES;
+
+        switch (error?.type) {
+            case AUTH:
+                return 'Your access key was rejected. Check it in Settings.';
+            case NOT_FOUND:
+                return 'Word list not found. Check the Bin ID or server URL in Settings.';
+            case RATE_LIMITED:
+                return error.retryAfter
+                    ? `Too many requests. Try again in ${Math.ceil(error.retryAfter / 1000)} seconds.`
+                    : 'Too many requests. Please wait a minute and try again.';
+            case OFFLINE:
+                return 'You are offline. Showing saved words.';
+            case TIMEOUT:
+                return 'The server is not responding. Showing saved words.';
+            case SERVER:
+                return 'The server had a problem. Showing saved words.';
+            case INVALID_RESPONSE:
+                return 'The server did not send a word list. Showing saved words.';
+            case UNEXPECTED:
+                return 'Something went wrong loading words. Showing saved words.';
+            case READ_ONLY:
+                return error.message;
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Show an error toast, preferring the typed message when there is one
+     * @param {Error} error
+     * @param {string} fallback - Message for untyped errors
+     */
+    showErrorToast(error, fallback) {
+        this.showToast(this.getErrorMessage(error) || fallback, 'error');
+    },
+
+    /**
+     * Report a background cloud error once per minute per error type
+     * @param {Error} error
+     */
+    handleApiError(error) {
+        const now = Date.now();
+        if (error.type === this.lastErrorToast.type && now - this.lastErrorToast.shownAt < 60000) {
+            return;
+        }
+
+        this.lastErrorToast = { type: error.type, shownAt: now };
+        this.showErrorToast(error, 'Failed to load words. Using cached data.');
+    },
+
+    /**
+     * Report a failed write to device storage once per minute
+     * @param {Object} detail - { error, quotaExceeded }
+     */
+    handleStorageError({ quotaExceeded }) {
+        const now = Date.now();
+        if (this.lastErrorToast.type === 'storage' && now - this.lastErrorToast.shownAt < 60000) {
+            return;
+        }
+
+        this.lastErrorToast = { type: 'storage', shownAt: now };
+        this.showToast(quotaExceeded
+            ? 'This device is out of storage space. Free some up so your progress is saved.'
+            : 'Could not save your progress on this device.', 'error');
+    },
+
     /**
      * Show toast notification
      * @param {string} message
@@ -498,19 +1680,6 @@ const App = {
             setTimeout(() => toast.remove(), 300);
         }, 3000);
     },
-
-    // --------------------------------------------------------------------------
-    // UTILITY METHODS
-    // --------------------------------------------------------------------------
-
-    /**
-     * Get date string in YYYY-MM-DD format
-     * @param {Date} date
-     * @returns {string}
-     */
-    getDateString(date) {
-        return date.toISOString().split('T')[0];
-    }
 };
 
 // Initialize when DOM is ready
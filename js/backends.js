@@ -0,0 +1,370 @@
+/**
+ * ==========================================================================
+ * STORAGE BACKENDS
+ * Adapters that tell ApiManager where the word record lives
+ * ==========================================================================
+ *
+ * Every backend implements the same interface:
+ *   isConfigured(config)              -> boolean
+ *   getHeaders(config)                -> Object
+ *   fetchAll(config)                  -> Promise<{ words, meta }>
+ *   save(config, record)              -> Promise<void>
+ *   create(config, record, name)      -> Promise<string|null> - New record ID
+ *   test(config)                      -> Promise<void> - Throws on failure
+ *
+ * Backends that keep old versions also implement:
+ *   listVersions(config)              -> Promise<Array<number>> - Newest first
+ *   fetchVersion(config, version)     -> Promise<{ words, meta }>
+ *
+ * `config` is the object returned by ApiManager.getRequestConfig(): the
+ * stored credentials plus `readOnly`, which is set in the learner app.
+ * Read-only configs authenticate with `accessKey` and never with the master
+ * `apiKey`. The master key is already unlocked when the config is built.
+ */
+
+// --------------------------------------------------------------------------
+// JSONBIN.IO
+// --------------------------------------------------------------------------
+
+const JsonBinBackend = {
+    id: 'jsonbin',
+    label: 'JSONBin.io',
+    requiresNetwork: true,
+
+    // Base URL for JSONBin.io API
+    BASE_URL: 'https://api.jsonbin.io/v3',
+
+    /**
+     * Check whether enough settings are present to connect
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @returns {boolean}
+     */
+    isConfigured(config) {
+        const key = config.readOnly ? config.accessKey : config.apiKey;
+        return !!(key && config.binId);
+    },
+
+    /**
+     * Auth headers for requests
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @returns {Object}
+     */
+    getHeaders(config) {
+        if (config.readOnly) {
+            return { 'X-Access-Key': config.accessKey };
+        }
+        return { 'X-Master-Key': config.apiKey };
+    },
+
+    /**
+     * Fetch the whole record
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @returns {Promise<Object>} - { words, meta }
+     */
+    async fetchAll(config) {
+        const result = await ApiManager.request(`${this.BASE_URL}/b/${config.binId}/latest`, {
+            headers: this.getHeaders(config),
+        });
+        return result.record || { words: [], meta: {} };
+    },
+
+    /**
+     * Replace the whole record
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @param {Object} record - { words, meta }
+     * @returns {Promise<void>}
+     */
+    async save(config, record) {
+        await ApiManager.request(`${this.BASE_URL}/b/${config.binId}`, {
+            method: 'PUT',
+            headers: this.getHeaders(config),
+            body: JSON.stringify(record),
+        });
+    },
+
+    /**
+     * Create a new record
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @param {Object} record - { words, meta }
+     * @param {string} name - Display name for the new record
+     * @returns {Promise<string|null>} - New record ID, or null when the backend has only one
+     */
+    async create(config, record, name) {
+        const result = await ApiManager.request(`${this.BASE_URL}/b`, {
+            method: 'POST',
+            headers: {
+                ...this.getHeaders(config),
+                'X-Bin-Name': name,
+            },
+            body: JSON.stringify(record),
+        });
+
+        return result.metadata.id;
+    },
+
+    /**
+     * Check that the record can be reached
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @returns {Promise<void>} - Rejects when the record cannot be read
+     */
+    async test(config) {
+        if (!config.binId) {
+            throw new Error('Bin ID not configured');
+        }
+        await this.fetchAll(config);
+    },
+
+    /**
+     * List stored versions of the bin
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @returns {Promise<Array<number>>} - Version numbers, newest first
+     */
+    async listVersions(config) {
+        const result = await ApiManager.request(`${this.BASE_URL}/b/${config.binId}/versions/count`, {
+            headers: this.getHeaders(config),
+        });
+        const count = result.metadata?.versionCount || 0;
+
+        return Array.from({ length: count }, (_, i) => count - i);
+    },
+
+    /**
+     * Fetch one stored version of the bin
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @param {number} version
+     * @returns {Promise<Object>} - { words, meta }
+     */
+    async fetchVersion(config, version) {
+        const result = await ApiManager.request(`${this.BASE_URL}/b/${config.binId}/${version}`, {
+            headers: this.getHeaders(config),
+        });
+        return result.record || { words: [], meta: {} };
+    },
+};
+
+// --------------------------------------------------------------------------
+// LOCAL ONLY (this device)
+// --------------------------------------------------------------------------
+
+const LocalBackend = {
+    id: 'local',
+    label: 'This device only',
+    requiresNetwork: false,
+
+    /**
+     * Check whether enough settings are present to connect
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return true;
+    },
+
+    /**
+     * Auth headers for requests
+     * @returns {Object}
+     */
+    getHeaders() {
+        return {};
+    },
+
+    /**
+     * Fetch the whole record
+     * @returns {Promise<Object>} - { words, meta }
+     */
+    async fetchAll() {
+        return StorageManager.getLocalRecord() || {
+            words: StorageManager.getLocalWords(),
+            meta: { schemaVersion: StorageManager.getLocalSchemaVersion() },
+        };
+    },
+
+    // How many previous records to keep for the history panel
+    HISTORY_LIMIT: 20,
+
+    /**
+     * Replace the whole record
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @param {Object} record - { words, meta }
+     * @returns {Promise<void>}
+     */
+    async save(config, record) {
+        const previous = StorageManager.getLocalRecord();
+
+        if (!(await StorageManager.saveLocalRecord(record))) {
+            throw new Error('Failed to save words on this device');
+        }
+
+        if (previous) {
+            const history = StorageManager.getLocalHistory();
+            const version = (history[0]?.version || 0) + 1;
+            await StorageManager.saveLocalHistory([{ version, record: previous }, ...history].slice(0, this.HISTORY_LIMIT));
+        }
+    },
+
+    /**
+     * Create a new record
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @param {Object} record - { words, meta }
+     * @returns {Promise<null>} - There is only one record, so no new ID
+     */
+    async create(config, record) {
+        await this.save(config, record);
+        return null;
+    },
+
+    /**
+     * Check that the record can be reached
+     * @returns {Promise<void>} - Rejects when the record cannot be read
+     */
+    async test() {
+        await StorageManager.testStorage();
+    },
+
+    /**
+     * List stored versions of the record
+     * @returns {Promise<Array<number>>} - Version numbers, newest first
+     */
+    async listVersions() {
+        return StorageManager.getLocalHistory().map(entry => entry.version);
+    },
+
+    /**
+     * Fetch one stored version of the record
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @param {number} version
+     * @returns {Promise<Object>} - { words, meta }
+     */
+    async fetchVersion(config, version) {
+        const entry = StorageManager.getLocalHistory().find(e => e.version === version);
+        if (!entry) {
+            throw new Error(`Version ${version} not found`);
+        }
+        return entry.record;
+    },
+};
+
+// --------------------------------------------------------------------------
+// SELF-HOSTED REST ENDPOINT
+// GET returns the record, PUT replaces it. An optional token is sent as a
+// Bearer Authorization header; learners can be given a separate read token.
+// --------------------------------------------------------------------------
+
+const RestBackend = {
+    id: 'rest',
+    label: 'Self-hosted server',
+    requiresNetwork: true,
+
+    /**
+     * Check whether enough settings are present to connect
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @returns {boolean}
+     */
+    isConfigured(config) {
+        return !!config.endpoint;
+    },
+
+    /**
+     * Auth headers for requests
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @returns {Object}
+     */
+    getHeaders(config) {
+        const token = config.readOnly ? config.accessKey : config.apiKey;
+        return token ? { Authorization: `Bearer ${token}` } : {};
+    },
+
+    /**
+     * Fetch the whole record
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @returns {Promise<Object>} - { words, meta }
+     */
+    async fetchAll(config) {
+        const result = await ApiManager.request(config.endpoint, {
+            headers: this.getHeaders(config),
+        });
+        return this.parseRecord(result);
+    },
+
+    /**
+     * Unwrap and check a record sent by the server
+     * Accepts both a bare record and a JSONBin-style { record } envelope.
+     * @param {*} result - Parsed response body
+     * @returns {Object} - { words, meta }
+     * @throws {Error} - INVALID_RESPONSE when there is no word list
+     */
+    parseRecord(result) {
+        const record = result && typeof result === 'object' && 'record' in result ? result.record : result;
+
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw ApiManager.createError(ApiManager.ERROR_TYPES.INVALID_RESPONSE, 'Expected a record object');
+        }
+        if (!Array.isArray(record.words)) {
+            throw ApiManager.createError(ApiManager.ERROR_TYPES.INVALID_RESPONSE, 'The record has no words list');
+        }
+        if (record.meta !== undefined && (!record.meta || typeof record.meta !== 'object')) {
+            throw ApiManager.createError(ApiManager.ERROR_TYPES.INVALID_RESPONSE, 'The record meta is not an object');
+        }
+
+        return { ...record, meta: record.meta || {} };
+    },
+
+    /**
+     * Replace the whole record
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @param {Object} record - { words, meta }
+     * @returns {Promise<void>}
+     */
+    async save(config, record) {
+        await ApiManager.request(config.endpoint, {
+            method: 'PUT',
+            headers: this.getHeaders(config),
+            body: JSON.stringify(record),
+        });
+    },
+
+    /**
+     * Create a new record
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @param {Object} record - { words, meta }
+     * @returns {Promise<null>} - There is only one record, so no new ID
+     */
+    async create(config, record) {
+        await this.save(config, record);
+        return null;
+    },
+
+    /**
+     * Check that the record can be reached
+     * @param {Object} config - Request config from ApiManager.getRequestConfig()
+     * @returns {Promise<void>} - Rejects when the record cannot be read
+     */
+    async test(config) {
+        await this.fetchAll(config);
+    },
+};
+
+// --------------------------------------------------------------------------
+// REGISTRY
+// --------------------------------------------------------------------------
+
+const StorageBackends = {
+    DEFAULT: 'jsonbin',
+
+    all: {
+        jsonbin: JsonBinBackend,
+        local: LocalBackend,
+        rest: RestBackend,
+    },
+
+    /**
+     * Look up a backend by ID, falling back to the default
+     * @param {string} id
+     * @returns {Object}
+     */
+    get(id) {
+        return this.all[id] || this.all[this.DEFAULT];
+    },
+};
+
+// Export for use in other modules
+window.StorageBackends = StorageBackends;
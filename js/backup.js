@@ -0,0 +1,403 @@
+/**
+ * ==========================================================================
+ * BACKUP & RESTORE
+ * Saves every learner on this device to a file and brings them back
+ * ==========================================================================
+ *
+ * A backup is a versioned JSON file:
+ *   { format, version, exportedAt, includesCredentials, activeProfileId,
+ *     settings: { backend, binId, endpoint, accessKey, dayStartHour },
+ *     profiles: [{ id, name, createdAt, learned, streak, theme, progressSync, sessionOptions }] }
+ * Access keys are left empty unless the learner chose to include them.
+ */
+
+const BackupManager = {
+    // Identifies our files among any other JSON the learner might pick
+    FORMAT: 'vocab-flashcards-backup',
+
+    // Version this build writes. Files from newer versions are refused.
+    VERSION: 1,
+
+    // Longest learner name, as in the profiles modal
+    MAX_NAME_LENGTH: 30,
+
+    // --------------------------------------------------------------------------
+    // EXPORT
+    // --------------------------------------------------------------------------
+
+    /**
+     * Gather every learner's state into a backup
+     * @param {Object} options
+     * @param {boolean} options.includeCredentials - Also save access keys
+     * @returns {Object}
+     */
+    createBackup({ includeCredentials = false } = {}) {
+        const { backend, accessKey, binId, endpoint } = StorageManager.getApiCredentials();
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            includesCredentials: includeCredentials,
+            activeProfileId: StorageManager.getActiveProfileId(),
+            settings: {
+                backend: backend,
+                binId: binId,
+                endpoint: endpoint,
+                accessKey: includeCredentials ? accessKey : '',
+                dayStartHour: StorageManager.getDayStartHour(),
+            },
+            profiles: StorageManager.getProfiles().map(profile => {
+                const progressSync = StorageManager.getProgressSyncSettings(profile.id);
+
+                return {
+                    id: profile.id,
+                    name: profile.name,
+                    createdAt: profile.createdAt,
+                    learned: StorageManager.getLearnedLog(profile.id),
+                    streak: StorageManager.getStreakData(profile.id),
+                    theme: StorageManager.getTheme(profile.id),
+                    progressSync: { ...progressSync, key: includeCredentials ? progressSync.key : '' },
+                    sessionOptions: StorageManager.getSessionOptions(profile.id),
+                };
+            }),
+        };
+    },
+
+    /**
+     * Name for a backup file made today
+     * @returns {string}
+     */
+    getFileName() {
+        return `vocab-flashcards-backup-${DateUtils.today()}.json`;
+    },
+
+    // --------------------------------------------------------------------------
+    // VALIDATION
+    // --------------------------------------------------------------------------
+
+    /**
+     * Read and check a backup file
+     * @param {string} text - File contents
+     * @returns {Object} - Backup with only known, well-formed fields
+     * @throws {Error} - With a message that can be shown to the learner
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This file is not valid JSON');
+        }
+
+        if (!this.isObject(data) || data.format !== this.FORMAT) {
+            throw new Error("This file isn't a flashcards backup");
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('This backup has no valid version');
+        }
+        if (data.version > this.VERSION) {
+            throw new Error('This backup was made by a newer version of the app. Please update and try again.');
+        }
+        if (!Array.isArray(data.profiles) || data.profiles.length === 0) {
+            throw new Error('This backup has no learners in it');
+        }
+
+        const profiles = data.profiles.map(profile => this.validateProfile(profile));
+        if (new Set(profiles.map(p => p.id)).size !== profiles.length) {
+            throw new Error('This backup lists the same learner twice');
+        }
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: typeof data.exportedAt === 'string' ? data.exportedAt : null,
+            includesCredentials: !!data.includesCredentials,
+            activeProfileId: profiles.some(p => p.id === data.activeProfileId) ? data.activeProfileId : profiles[0].id,
+            settings: this.validateSettings(data.settings),
+            profiles: profiles,
+        };
+    },
+
+    /**
+     * Check one learner from a backup
+     * @param {Object} profile
+     * @returns {Object} - { id, name, createdAt, learned, streak, theme, progressSync, sessionOptions }
+     * @throws {Error}
+     */
+    validateProfile(profile) {
+        if (!this.isObject(profile) || typeof profile.id !== 'string' || !profile.id) {
+            throw new Error('This backup has a learner without an ID');
+        }
+
+        const name = typeof profile.name === 'string' ? profile.name.trim().slice(0, this.MAX_NAME_LENGTH) : '';
+        if (!name) {
+            throw new Error('This backup has a learner without a name');
+        }
+
+        const learned = profile.learned ?? {};
+        if (!this.isObject(learned)) {
+            throw new Error(`Learned words for ${name} are damaged`);
+        }
+        Object.values(learned).forEach(entry => {
+            const validAt = entry?.at === null || (typeof entry?.at === 'string' && !isNaN(Date.parse(entry.at)));
+            if (!this.isObject(entry) || typeof entry.learned !== 'boolean' || !validAt) {
+                throw new Error(`Learned words for ${name} are damaged`);
+            }
+        });
+
+        const progressSync = this.isObject(profile.progressSync) ? profile.progressSync : {};
+        const text = (value) => (typeof value === 'string' ? value : '');
+
+        return {
+            id: profile.id,
+            name: name,
+            createdAt: text(profile.createdAt) || new Date().toISOString(),
+            learned: Object.fromEntries(Object.entries(learned).map(([wordId, entry]) => (
+                [wordId, this.validateSchedule(entry)]
+            ))),
+            streak: this.validateStreak(profile.streak, name),
+            theme: ['dark', 'light'].includes(profile.theme) ? profile.theme : null,
+            progressSync: {
+                enabled: !!progressSync.enabled,
+                learnerId: text(progressSync.learnerId),
+                binId: text(progressSync.binId),
+                key: text(progressSync.key),
+                endpoint: text(progressSync.endpoint),
+            },
+            sessionOptions: StorageManager.normalizeSessionOptions(profile.sessionOptions),
+        };
+    },
+
+    /**
+     * Keep a learned entry's review schedule, dropping fields that aren't usable
+     * @param {Object} entry - { learned, at, ...schedule }
+     * @returns {Object}
+     */
+    validateSchedule(entry) {
+        const result = { learned: entry.learned, at: entry.at };
+
+        ['ease', 'interval', 'repetitions', 'lapses'].forEach(field => {
+            if (Number.isFinite(entry[field]) && entry[field] >= 0) result[field] = entry[field];
+        });
+        if (DateUtils.isValid(entry.due)) result.due = entry.due;
+
+        return result;
+    },
+
+    /**
+     * Check a learner's streak
+     * @param {Object} streak
+     * @param {string} name - Learner name, for error messages
+     * @returns {Object} - Full streak data
+     * @throws {Error}
+     */
+    validateStreak(streak, name) {
+        if (streak === undefined || streak === null) return StorageManager.normalizeStreak(null);
+
+        const isCount = (value) => value === undefined || (Number.isInteger(value) && value >= 0);
+        const isDays = (value) => value === undefined || (Array.isArray(value) && value.every(day => DateUtils.isValid(day)));
+        const valid = this.isObject(streak)
+            && isCount(streak.currentStreak) && isCount(streak.longestStreak) && isCount(streak.freezes)
+            && (streak.lastActiveDate === null || streak.lastActiveDate === undefined || DateUtils.isValid(streak.lastActiveDate))
+            && isDays(streak.activeDays) && isDays(streak.frozenDays);
+
+        if (!valid) {
+            throw new Error(`The streak for ${name} is damaged`);
+        }
+        return StorageManager.normalizeStreak(streak);
+    },
+
+    /**
+     * Check device settings from a backup, falling back to defaults
+     * @param {Object} settings
+     * @returns {Object} - { backend, binId, endpoint, accessKey, dayStartHour }
+     */
+    validateSettings(settings) {
+        const data = this.isObject(settings) ? settings : {};
+        const text = (value) => (typeof value === 'string' ? value : '');
+        const hour = Number.isInteger(data.dayStartHour) ? data.dayStartHour : 0;
+
+        return {
+            backend: StorageBackends.all[data.backend] ? data.backend : StorageBackends.DEFAULT,
+            binId: text(data.binId),
+            endpoint: text(data.endpoint),
+            accessKey: text(data.accessKey),
+            dayStartHour: Math.min(Math.max(hour, 0), StorageManager.MAX_DAY_START_HOUR),
+        };
+    },
+
+    /**
+     * Check for a plain object
+     * @param {*} value
+     * @returns {boolean}
+     */
+    isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    },
+
+    // --------------------------------------------------------------------------
+    // RESTORE
+    // --------------------------------------------------------------------------
+
+    /**
+     * Find the learner on this device a backed-up learner belongs to: the same
+     * profile, or failing that one with the same name
+     * @param {Object} profile - From the backup
+     * @param {Array} localProfiles
+     * @returns {Object|undefined}
+     */
+    findLocalProfile(profile, localProfiles) {
+        return localProfiles.find(p => p.id === profile.id)
+            || localProfiles.find(p => p.name.toLowerCase() === profile.name.toLowerCase());
+    },
+
+    /**
+     * Describe what restoring a backup would change
+     * @param {Object} backup - From parse()
+     * @returns {Object} - { exportedAt, profiles, removed, includesCredentials, backend }
+     */
+    preview(backup) {
+        const localProfiles = StorageManager.getProfiles();
+        const countLearned = (log) => Object.keys(log)
+            .filter(key => log[key].learned && !StorageManager.isReverseKey(key)).length;
+
+        const profiles = backup.profiles.map(profile => {
+            const local = this.findLocalProfile(profile, localProfiles);
+            const current = local ? StorageManager.getLearnedLog(local.id) : {};
+
+            return {
+                name: profile.name,
+                isNew: !local,
+                learnedNow: countLearned(current),
+                learnedInFile: countLearned(profile.learned),
+                learnedAfterMerge: countLearned(ProgressSync.mergeLearned(current, profile.learned)),
+                streakNow: local ? StorageManager.getStreakData(local.id).currentStreak : 0,
+                streakInFile: profile.streak.currentStreak,
+            };
+        });
+
+        const kept = backup.profiles.map(profile => this.findLocalProfile(profile, localProfiles)).filter(Boolean);
+        const removed = localProfiles.filter(p => !kept.includes(p)).map(p => p.name);
+
+        return {
+            exportedAt: backup.exportedAt,
+            profiles: profiles,
+            removed: removed,
+            includesCredentials: backup.includesCredentials,
+            backend: StorageBackends.get(backup.settings.backend).label,
+        };
+    },
+
+    /**
+     * Restore a backup.
+     * Merge keeps everything on this device and adds what the backup has on
+     * top. Replace makes this device match the backup, deleting learners that
+     * aren't in it; access keys left out of the backup are kept either way.
+     * @param {Object} backup - From parse()
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {Promise<void>}
+     */
+    async restore(backup, mode) {
+        const replace = mode === 'replace';
+        const localProfiles = StorageManager.getProfiles();
+        const profiles = [...localProfiles];
+        const restored = [];
+
+        for (const profile of backup.profiles) {
+            let local = this.findLocalProfile(profile, localProfiles);
+            if (!local) {
+                local = { id: profile.id, name: profile.name, createdAt: profile.createdAt };
+                profiles.push(local);
+            } else if (replace) {
+                profiles[profiles.indexOf(local)] = { ...local, name: profile.name };
+            }
+            restored.push(local.id);
+
+            await this.restoreProfile(local.id, profile, replace);
+        }
+
+        StorageManager.saveProfiles(profiles);
+
+        if (replace) {
+            profiles
+                .filter(p => !restored.includes(p.id))
+                .forEach(p => StorageManager.deleteProfile(p.id));
+
+            const active = backup.profiles.findIndex(p => p.id === backup.activeProfileId);
+            StorageManager.setActiveProfile(restored[active]);
+        }
+
+        this.restoreSettings(backup.settings, replace);
+    },
+
+    /**
+     * Restore one learner's progress and settings
+     * @param {string} profileId - Learner on this device
+     * @param {Object} profile - Learner from the backup
+     * @param {boolean} replace
+     * @returns {Promise<void>}
+     */
+    async restoreProfile(profileId, profile, replace) {
+        const currentSync = StorageManager.getProgressSyncSettings(profileId);
+        const fileSync = { ...profile.progressSync, key: profile.progressSync.key || currentSync.key };
+
+        if (replace) {
+            StorageManager.saveTheme(profile.theme, profileId);
+            StorageManager.saveProgressSyncSettings(fileSync, profileId);
+            StorageManager.saveSessionOptions(profile.sessionOptions, profileId);
+            await Promise.all([
+                StorageManager.saveLearnedLog(profile.learned, profileId),
+                StorageManager.saveStreakData(profile.streak, profileId),
+            ]);
+            return;
+        }
+
+        // Merging never overrides a choice already made on this device
+        if (!StorageManager.getTheme(profileId)) {
+            StorageManager.saveTheme(profile.theme, profileId);
+        }
+        if (!currentSync.enabled && fileSync.enabled) {
+            StorageManager.saveProgressSyncSettings(fileSync, profileId);
+        }
+        if (!StorageManager.hasSessionOptions(profileId)) {
+            StorageManager.saveSessionOptions(profile.sessionOptions, profileId);
+        }
+
+        await Promise.all([
+            StorageManager.saveLearnedLog(
+                ProgressSync.mergeLearned(StorageManager.getLearnedLog(profileId), profile.learned),
+                profileId
+            ),
+            StorageManager.saveStreakData(
+                ProgressSync.mergeStreaks(StorageManager.getStreakData(profileId), profile.streak),
+                profileId
+            ),
+        ]);
+    },
+
+    /**
+     * Restore storage settings and the study day hour
+     * @param {Object} settings - From the backup
+     * @param {boolean} replace - Otherwise only fill in settings this device lacks
+     */
+    restoreSettings(settings, replace) {
+        const current = StorageManager.getApiCredentials();
+        const configured = StorageBackends.get(current.backend).isConfigured({ ...current, readOnly: true });
+
+        if (replace || !configured) {
+            StorageManager.saveAccessCredentials(
+                settings.accessKey || current.accessKey,
+                settings.binId,
+                settings.backend,
+                settings.endpoint
+            );
+        }
+        if (replace) {
+            StorageManager.saveDayStartHour(settings.dayStartHour);
+        }
+    },
+};
+
+// Export for use in other modules
+window.BackupManager = BackupManager;
@@ -0,0 +1,134 @@
+/**
+ * ==========================================================================
+ * DATE UTILITIES
+ * Study days in the learner's local timezone
+ * ==========================================================================
+ *
+ * Words, streaks and the daily limit are all keyed by a 'YYYY-MM-DD' day
+ * string. Days are worked out in local time, never UTC, and a study day can
+ * start a few hours after midnight so late-night study counts for the day
+ * before (see StorageManager.getDayStartHour).
+ */
+
+const DateUtils = {
+    // --------------------------------------------------------------------------
+    // STUDY DAYS
+    // --------------------------------------------------------------------------
+
+    /**
+     * Get the study day a moment belongs to
+     * @param {Date} date - Defaults to now
+     * @returns {string} - YYYY-MM-DD
+     */
+    getStudyDay(date = new Date()) {
+        const shifted = new Date(date);
+        shifted.setHours(shifted.getHours() - StorageManager.getDayStartHour());
+        return this.format(shifted);
+    },
+
+    /**
+     * Get today's study day
+     * @returns {string} - YYYY-MM-DD
+     */
+    today() {
+        return this.getStudyDay();
+    },
+
+    /**
+     * Check if a day is today's study day
+     * @param {string} dateString - YYYY-MM-DD
+     * @returns {boolean}
+     */
+    isToday(dateString) {
+        return dateString === this.today();
+    },
+
+    // --------------------------------------------------------------------------
+    // DAY STRINGS
+    // --------------------------------------------------------------------------
+
+    /**
+     * Format the local calendar date of a Date
+     * @param {Date} date
+     * @returns {string} - YYYY-MM-DD
+     */
+    format(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    },
+
+    /**
+     * Check that a value is a real YYYY-MM-DD day
+     * @param {*} value
+     * @returns {boolean}
+     */
+    isValid(value) {
+        return typeof value === 'string'
+            && /^\d{4}-\d{2}-\d{2}$/.test(value)
+            && this.format(this.parse(value)) === value;
+    },
+
+    /**
+     * Parse a day string as local midnight
+     * @param {string} dateString - YYYY-MM-DD
+     * @returns {Date}
+     */
+    parse(dateString) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    /**
+     * Move a day string forwards or backwards
+     * @param {string} dateString - YYYY-MM-DD
+     * @param {number} days - Negative to go back
+     * @returns {string} - YYYY-MM-DD
+     */
+    addDays(dateString, days) {
+        const date = this.parse(dateString);
+        // setDate keeps local midnight across daylight saving changes
+        date.setDate(date.getDate() + days);
+        return this.format(date);
+    },
+
+    /**
+     * Get the first day of the month a day string falls in
+     * @param {string} dateString - YYYY-MM-DD
+     * @returns {string} - YYYY-MM-01
+     */
+    startOfMonth(dateString) {
+        return `${dateString.slice(0, 7)}-01`;
+    },
+
+    /**
+     * Move to the first day of an earlier or later month
+     * @param {string} dateString - YYYY-MM-DD
+     * @param {number} months - Negative to go back
+     * @returns {string} - YYYY-MM-01
+     */
+    addMonths(dateString, months) {
+        const date = this.parse(this.startOfMonth(dateString));
+        date.setMonth(date.getMonth() + months);
+        return this.format(date);
+    },
+
+    /**
+     * Count the days from one day string to another
+     * @param {string} from - YYYY-MM-DD
+     * @param {string} to - YYYY-MM-DD
+     * @returns {number} - Negative if `to` is earlier
+     */
+    daysBetween(from, to) {
+        // UTC has no daylight saving, so every day is exactly 24 hours long
+        const toUTC = (dateString) => {
+            const [year, month, day] = dateString.split('-').map(Number);
+            return Date.UTC(year, month - 1, day);
+        };
+        return Math.round((toUTC(to) - toUTC(from)) / 86400000);
+    },
+};
+
+// Export for use in other modules
+window.DateUtils = DateUtils;
@@ -0,0 +1,223 @@
+/**
+ * ==========================================================================
+ * LOCAL DATABASE
+ * Promise wrapper around the IndexedDB database that holds words and progress
+ * ==========================================================================
+ *
+ * Stores:
+ *   words      - Cached words, keyed by `id` and indexed by `date`
+ *   progress   - { profileId, wordId, learned, at }, keyed by [profileId, wordId]
+ *   syncQueue  - Pending writes, keyed by `id` and kept in `position` order
+ *   records    - Single larger values such as streaks and backups: { key, value }
+ */
+
+const LocalDatabase = {
+    NAME: 'vocab-flashcards',
+    VERSION: 1,
+
+    // Open connection, or null before open() and when IndexedDB is unavailable
+    db: null,
+
+    // --------------------------------------------------------------------------
+    // CONNECTION
+    // --------------------------------------------------------------------------
+
+    /**
+     * Open the database, creating or upgrading its stores
+     * @returns {Promise<IDBDatabase>}
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (!window.indexedDB) {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        const request = indexedDB.open(this.NAME, this.VERSION);
+        request.onupgradeneeded = () => this.upgrade(request.result);
+
+        this.db = await this.promisify(request);
+
+        // Another tab is upgrading the schema: step aside so it can finish
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+        };
+        return this.db;
+    },
+
+    /**
+     * Create any stores the database doesn't have yet
+     * @param {IDBDatabase} db
+     */
+    upgrade(db) {
+        if (!db.objectStoreNames.contains('words')) {
+            const words = db.createObjectStore('words', { keyPath: 'id' });
+            words.createIndex('date', 'date');
+        }
+        if (!db.objectStoreNames.contains('progress')) {
+            const progress = db.createObjectStore('progress', { keyPath: ['profileId', 'wordId'] });
+            progress.createIndex('profileId', 'profileId');
+        }
+        if (!db.objectStoreNames.contains('syncQueue')) {
+            db.createObjectStore('syncQueue', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('records')) {
+            db.createObjectStore('records', { keyPath: 'key' });
+        }
+    },
+
+    // --------------------------------------------------------------------------
+    // READS
+    // --------------------------------------------------------------------------
+
+    /**
+     * Read every value in a store
+     * @param {string} storeName
+     * @returns {Promise<Array>}
+     */
+    async getAll(storeName) {
+        return this.run(storeName, 'readonly', store => store.getAll());
+    },
+
+    /**
+     * Read the values of a store that match an index key
+     * @param {string} storeName
+     * @param {string} indexName
+     * @param {*} key
+     * @returns {Promise<Array>}
+     */
+    async getAllByIndex(storeName, indexName, key) {
+        return this.run(storeName, 'readonly', store => store.index(indexName).getAll(key));
+    },
+
+    // --------------------------------------------------------------------------
+    // WRITES
+    // --------------------------------------------------------------------------
+
+    /**
+     * Add or replace one value
+     * @param {string} storeName
+     * @param {Object} value
+     * @returns {Promise<void>}
+     */
+    async put(storeName, value) {
+        await this.run(storeName, 'readwrite', store => store.put(value));
+    },
+
+    /**
+     * Delete every value whose key falls in a range
+     * @param {string} storeName
+     * @param {IDBKeyRange|*} range - A range or a single key
+     * @returns {Promise<void>}
+     */
+    async delete(storeName, range) {
+        await this.run(storeName, 'readwrite', store => store.delete(range));
+    },
+
+    /**
+     * Add or replace some values and delete some keys in one transaction
+     * @param {string} storeName
+     * @param {Array} values
+     * @param {Array} deletedKeys
+     * @returns {Promise<void>}
+     */
+    async update(storeName, values, deletedKeys = []) {
+        await this.run(storeName, 'readwrite', store => {
+            deletedKeys.forEach(key => store.delete(key));
+            values.forEach(value => store.put(value));
+        });
+    },
+
+    /**
+     * Replace a whole store, or just one key range of it, in a single transaction
+     * @param {string} storeName
+     * @param {Array} values
+     * @param {IDBKeyRange} range - Only clear this range; clears everything if omitted
+     * @returns {Promise<void>}
+     */
+    async replace(storeName, values, range = null) {
+        await this.run(storeName, 'readwrite', store => {
+            range ? store.delete(range) : store.clear();
+            values.forEach(value => store.put(value));
+        });
+    },
+
+    /**
+     * Make changes to several stores in one transaction: all of them land or none do
+     * @param {Array<string>} storeNames
+     * @param {Function} callback - Receives the transaction
+     * @returns {Promise<void>}
+     */
+    async write(storeNames, callback) {
+        const db = await this.open();
+        await this.complete(db.transaction(storeNames, 'readwrite'), callback);
+    },
+
+    /**
+     * Empty every store
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const db = await this.open();
+        const names = Array.from(db.objectStoreNames);
+        await this.write(names, tx => {
+            names.forEach(name => tx.objectStore(name).clear());
+        });
+    },
+
+    // --------------------------------------------------------------------------
+    // HELPERS
+    // --------------------------------------------------------------------------
+
+    /**
+     * Run requests against one store and wait for the transaction to commit
+     * @param {string} storeName
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the store; may return a request
+     * @returns {Promise<*>} - Result of the returned request
+     */
+    async run(storeName, mode, callback) {
+        const db = await this.open();
+        const tx = db.transaction(storeName, mode);
+        return this.complete(tx, () => callback(tx.objectStore(storeName)));
+    },
+
+    /**
+     * Wait for a transaction to finish. Quota errors abort the transaction and
+     * reject with a QuotaExceededError.
+     * @param {IDBTransaction} tx
+     * @param {Function} callback - Queues the transaction's requests
+     * @returns {Promise<*>}
+     */
+    complete(tx, callback) {
+        return new Promise((resolve, reject) => {
+            let request = null;
+            try {
+                request = callback(tx);
+            } catch (error) {
+                tx.abort();
+                reject(error);
+                return;
+            }
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    },
+
+    /**
+     * Turn an IDBRequest into a promise
+     * @param {IDBRequest} request
+     * @returns {Promise<*>}
+     */
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('Waiting for another tab to close the database...');
+        });
+    },
+};
+
+// Export for use in other modules
+window.LocalDatabase = LocalDatabase;
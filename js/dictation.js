@@ -0,0 +1,293 @@
+/**
+ * ==========================================================================
+ * LISTENING DICTATION
+ * Hear the word, type it, then see the full card
+ * ==========================================================================
+ *
+ * The word is read aloud with speech synthesis and never shown until the
+ * answer is checked. Answers are checked and recorded the same way as in
+ * spelling practice (see SpellingManager).
+ */
+
+const DictationManager = {
+    // Speech rates for normal and slow replay
+    NORMAL_RATE: 0.9,
+    SLOW_RATE: 0.5,
+
+    // State
+    words: [],
+    currentIndex: 0,
+    score: 0,
+    checked: false,
+    missed: [],
+
+    // DOM Elements (cached on init)
+    elements: {},
+
+    // --------------------------------------------------------------------------
+    // INITIALIZATION
+    // --------------------------------------------------------------------------
+
+    /**
+     * Initialize dictation practice
+     */
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+    },
+
+    /**
+     * Cache DOM elements for performance
+     */
+    cacheElements() {
+        this.elements = {
+            dictationQuestion: document.getElementById('dictationQuestion'),
+            dictationNumber: document.getElementById('dictationNumber'),
+            dictationTotal: document.getElementById('dictationTotal'),
+            dictationScore: document.getElementById('dictationScore'),
+            dictationPlayBtn: document.getElementById('dictationPlayBtn'),
+            dictationSlowBtn: document.getElementById('dictationSlowBtn'),
+            dictationContextToggle: document.getElementById('dictationContextToggle'),
+            dictationForm: document.getElementById('dictationForm'),
+            dictationInput: document.getElementById('dictationInput'),
+            dictationCheckBtn: document.getElementById('dictationCheckBtn'),
+            dictationVerdict: document.getElementById('dictationVerdict'),
+            dictationReveal: document.getElementById('dictationReveal'),
+            dictationWord: document.getElementById('dictationWord'),
+            dictationIpa: document.getElementById('dictationIpa'),
+            dictationBangla: document.getElementById('dictationBangla'),
+            dictationContext: document.getElementById('dictationContext'),
+            dictationNextBtn: document.getElementById('dictationNextBtn'),
+            dictationResults: document.getElementById('dictationResults'),
+            dictationResultsScore: document.getElementById('dictationResultsScore'),
+            dictationResultsText: document.getElementById('dictationResultsText'),
+            dictationMissedList: document.getElementById('dictationMissedList'),
+            dictationRestartBtn: document.getElementById('dictationRestartBtn'),
+        };
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const { dictationPlayBtn, dictationSlowBtn, dictationForm, dictationNextBtn, dictationRestartBtn } = this.elements;
+
+        dictationPlayBtn?.addEventListener('click', () => this.play(this.NORMAL_RATE));
+        dictationSlowBtn?.addEventListener('click', () => this.play(this.SLOW_RATE));
+        dictationForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.check();
+        });
+        dictationNextBtn?.addEventListener('click', () => this.next());
+        dictationRestartBtn?.addEventListener('click', () => this.start(this.words));
+    },
+
+    // --------------------------------------------------------------------------
+    // SPEECH
+    // --------------------------------------------------------------------------
+
+    /**
+     * Read the current word aloud, and its example sentence if asked for
+     * @param {number} rate - Speech rate
+     */
+    play(rate = this.NORMAL_RATE) {
+        const { dictationPlayBtn, dictationContextToggle } = this.elements;
+        const word = this.words[this.currentIndex];
+        if (!word) return;
+
+        if (!('speechSynthesis' in window)) {
+            window.App?.showToast('Text-to-speech not supported', 'error');
+            return;
+        }
+
+        // Cancel any ongoing speech
+        window.speechSynthesis.cancel();
+
+        const texts = [word.english];
+        if (dictationContextToggle?.checked && word.context) {
+            texts.push(word.context);
+        }
+
+        // Visual feedback until the last utterance finishes
+        dictationPlayBtn?.classList.add('playing');
+
+        texts.forEach((text, i) => {
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.lang = 'en-US';
+            utterance.rate = rate;
+            utterance.pitch = 1;
+
+            if (i === texts.length - 1) {
+                utterance.onend = () => dictationPlayBtn?.classList.remove('playing');
+            }
+            utterance.onerror = (e) => {
+                dictationPlayBtn?.classList.remove('playing');
+                // Replaying cancels the previous utterance, which isn't a failure
+                if (e.error !== 'canceled' && e.error !== 'interrupted') {
+                    window.App?.showToast('Failed to play the word', 'error');
+                }
+            };
+
+            // Speech synthesis queues utterances, so the sentence follows the word
+            window.speechSynthesis.speak(utterance);
+        });
+    },
+
+    // --------------------------------------------------------------------------
+    // DICTATION FLOW
+    // --------------------------------------------------------------------------
+
+    /**
+     * Start dictation on a set of words
+     * @param {Array} words
+     * @returns {boolean} - false if there is nothing to dictate
+     */
+    start(words) {
+        this.words = words.filter(word => word.english);
+        this.currentIndex = 0;
+        this.score = 0;
+        this.missed = [];
+
+        if (this.words.length === 0) return false;
+
+        const { dictationQuestion, dictationResults, dictationTotal } = this.elements;
+        dictationQuestion && (dictationQuestion.style.display = 'block');
+        dictationResults && (dictationResults.style.display = 'none');
+        if (dictationTotal) dictationTotal.textContent = this.words.length;
+
+        this.showWord(0);
+        return true;
+    },
+
+    /**
+     * Hide the previous answer and read out the next word
+     * @param {number} index
+     */
+    showWord(index) {
+        const {
+            dictationNumber, dictationScore, dictationInput, dictationCheckBtn,
+            dictationVerdict, dictationReveal, dictationNextBtn
+        } = this.elements;
+
+        this.currentIndex = index;
+        this.checked = false;
+
+        if (dictationNumber) dictationNumber.textContent = index + 1;
+        if (dictationScore) dictationScore.textContent = this.score;
+
+        if (dictationInput) {
+            dictationInput.value = '';
+            dictationInput.disabled = false;
+            dictationInput.focus();
+        }
+        dictationCheckBtn && (dictationCheckBtn.style.display = 'inline-flex');
+        if (dictationVerdict) {
+            dictationVerdict.innerHTML = '';
+            dictationVerdict.className = 'spelling-verdict';
+        }
+        dictationReveal && (dictationReveal.style.display = 'none');
+        dictationNextBtn && (dictationNextBtn.style.display = 'none');
+
+        this.play();
+    },
+
+    /**
+     * Check the typed answer, reveal the card and record the review
+     */
+    check() {
+        const { dictationInput, dictationCheckBtn, dictationVerdict, dictationScore, dictationNextBtn } = this.elements;
+        const word = this.words[this.currentIndex];
+        if (!word || this.checked || !dictationInput?.value.trim()) return;
+
+        const result = SpellingManager.checkAnswer(dictationInput.value, word.english);
+        this.checked = true;
+
+        if (result.verdict === 'correct') {
+            this.score++;
+        } else {
+            this.missed.push(word);
+        }
+        SpellingManager.recordResult(word, result.verdict);
+
+        dictationInput.disabled = true;
+        dictationCheckBtn && (dictationCheckBtn.style.display = 'none');
+        if (dictationScore) dictationScore.textContent = this.score;
+        if (dictationVerdict) {
+            dictationVerdict.innerHTML = SpellingManager.renderVerdict(result);
+            dictationVerdict.classList.add(result.verdict);
+        }
+        this.reveal(word);
+
+        if (dictationNextBtn) {
+            dictationNextBtn.textContent = this.currentIndex < this.words.length - 1 ? 'Next' : 'See Score';
+            dictationNextBtn.style.display = 'inline-flex';
+            dictationNextBtn.focus();
+        }
+    },
+
+    /**
+     * Show the whole card for the word that was dictated
+     * @param {Object} word
+     */
+    reveal(word) {
+        const { dictationReveal, dictationWord, dictationIpa, dictationBangla, dictationContext } = this.elements;
+
+        if (dictationWord) dictationWord.textContent = word.english;
+        if (dictationIpa) dictationIpa.textContent = word.ipa || '';
+        if (dictationBangla) {
+            dictationBangla.innerHTML = (word.banglaMeanings || []).map(m =>
+                `<span class="bangla-meaning-item">${Utils.escapeHtml(m)}</span>`
+            ).join('');
+        }
+        if (dictationContext) dictationContext.textContent = word.context || '';
+
+        dictationReveal && (dictationReveal.style.display = 'block');
+    },
+
+    /**
+     * Move to the next word, or the score once all are done
+     */
+    next() {
+        if (!this.checked) return;
+
+        if (this.currentIndex < this.words.length - 1) {
+            this.showWord(this.currentIndex + 1);
+        } else {
+            this.showResults();
+        }
+    },
+
+    /**
+     * Show the final score and the words to listen to again
+     */
+    showResults() {
+        const {
+            dictationQuestion, dictationResults, dictationResultsScore, dictationResultsText, dictationMissedList
+        } = this.elements;
+
+        dictationQuestion && (dictationQuestion.style.display = 'none');
+        dictationResults && (dictationResults.style.display = 'block');
+
+        if (dictationResultsScore) dictationResultsScore.textContent = `${this.score}/${this.words.length}`;
+        if (dictationResultsText) {
+            dictationResultsText.textContent = this.missed.length === 0
+                ? 'Every word heard right. Well done!'
+                : `${this.missed.length} ${this.missed.length === 1 ? 'word' : 'words'} to listen to again:`;
+        }
+        if (dictationMissedList) {
+            dictationMissedList.innerHTML = Utils.renderMissedList(this.missed);
+        }
+    },
+
+    /**
+     * Stop any speech when leaving dictation
+     */
+    stop() {
+        if ('speechSynthesis' in window) {
+            window.speechSynthesis.cancel();
+        }
+    },
+};
+
+// Export for use in other modules
+window.DictationManager = DictationManager;
@@ -17,6 +17,21 @@ const FlashcardManager = {
     isSwiping: false,
     swipeThreshold: 50,
 
+    // Card direction for this session: 'en-bn', 'bn-en' or 'mixed'
+    direction: 'en-bn',
+
+    // Direction each loaded card is shown in, picked at random when mixed
+    cardDirections: [],
+
+    // Cards graded Again come back at the end of the session when set
+    repeatMissed: false,
+
+    // Cards in the session before any repeats were added
+    deckSize: 0,
+
+    // Number keys for the grading buttons
+    GRADE_KEYS: { 1: 'again', 2: 'hard', 3: 'good', 4: 'easy' },
+
     // DOM Elements (cached on init)
     elements: {},
 
@@ -58,9 +73,15 @@ const FlashcardManager = {
             nextCardBtn: document.getElementById('nextCardBtn'),
             currentCard: document.getElementById('currentCard'),
             totalCards: document.getElementById('totalCards'),
-            markLearnedBtn: document.getElementById('markLearnedBtn'),
+            cardActions: document.getElementById('cardActions'),
+            gradeButtons: document.querySelectorAll('#cardActions .grade-btn'),
             progressFill: document.getElementById('progressFill'),
             progressCount: document.getElementById('progressCount'),
+            directionToggle: document.getElementById('directionToggle'),
+            reversePrompt: document.getElementById('reversePrompt'),
+            reverseAnswerWord: document.getElementById('reverseAnswerWord'),
+            reverseAnswerIpa: document.getElementById('reverseAnswerIpa'),
+            reverseAnswerContext: document.getElementById('reverseAnswerContext'),
         };
     },
 
@@ -68,7 +89,7 @@ const FlashcardManager = {
      * Bind event listeners
      */
     bindEvents() {
-        const { flashcard, speakerBtn, prevCardBtn, nextCardBtn, markLearnedBtn } = this.elements;
+        const { flashcard, speakerBtn, prevCardBtn, nextCardBtn, cardActions, directionToggle } = this.elements;
 
         // Card flip on tap/click
         if (flashcard) {
@@ -110,17 +131,33 @@ const FlashcardManager = {
             nextCardBtn.addEventListener('click', () => this.nextCard());
         }
 
-        // Mark as learned
-        if (markLearnedBtn) {
-            markLearnedBtn.addEventListener('click', () => this.toggleLearned());
+        // Grade how well the word was remembered
+        if (cardActions) {
+            cardActions.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-grade]');
+                if (button) this.gradeCard(button.dataset.grade);
+            });
+        }
+
+        // Card direction for the session
+        if (directionToggle) {
+            directionToggle.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-direction]');
+                if (button) this.setDirection(button.dataset.direction);
+            });
         }
 
         // Keyboard navigation for entire page
         document.addEventListener('keydown', (e) => {
+            // Other study modes have their own keys
+            if (this.elements.flashcardScene?.style.display === 'none') return;
+
             if (e.key === 'ArrowLeft') {
                 this.prevCard();
             } else if (e.key === 'ArrowRight') {
                 this.nextCard();
+            } else if (this.GRADE_KEYS[e.key] && !e.target.closest('input, select, textarea')) {
+                this.gradeCard(this.GRADE_KEYS[e.key]);
             }
         });
     },
@@ -132,11 +169,16 @@ const FlashcardManager = {
     /**
      * Load words and display first card
      * @param {Array} words
+     * @param {Object} options - { repeatMissed }
      */
-    loadWords(words) {
-        this.words = words;
+    loadWords(words, options = {}) {
+        // Copied, as repeats are added to the end
+        this.words = [...words];
+        this.deckSize = words.length;
+        this.repeatMissed = !!options.repeatMissed;
         this.currentIndex = 0;
         this.isFlipped = false;
+        this.pickCardDirections();
 
         if (words.length > 0) {
             this.displayCard(0);
@@ -168,6 +210,9 @@ const FlashcardManager = {
             this.isFlipped = false;
         }
 
+        // Bangla → English cards ask for the English word
+        this.displayDirection(word, this.getCardDirection(index));
+
         // Front face content
         if (englishWord) englishWord.textContent = word.english || '—';
         if (ipaPronunciation) ipaPronunciation.textContent = word.ipa || '/—/';
@@ -205,7 +250,7 @@ const FlashcardManager = {
             const meanings = word.banglaMeanings || [];
             if (meanings.length > 0) {
                 banglaMeanings.innerHTML = meanings.map(m =>
-                    `<span class="bangla-meaning-item">${m}</span>`
+                    `<span class="bangla-meaning-item">${Utils.escapeHtml(m)}</span>`
                 ).join('');
             } else {
                 banglaMeanings.textContent = '—';
@@ -217,7 +262,7 @@ const FlashcardManager = {
             const synonyms = word.synonyms || [];
             if (synonyms.length > 0) {
                 synonymsList.innerHTML = synonyms.map(s =>
-                    `<span class="synonym-tag">${s}</span>`
+                    `<span class="synonym-tag">${Utils.escapeHtml(s)}</span>`
                 ).join('');
                 synonymsList.style.display = 'flex';
                 noSynonyms.style.display = 'none';
@@ -232,7 +277,7 @@ const FlashcardManager = {
             const antonyms = word.antonyms || [];
             if (antonyms.length > 0) {
                 antonymsList.innerHTML = antonyms.map(a =>
-                    `<span class="antonym-tag">${a}</span>`
+                    `<span class="antonym-tag">${Utils.escapeHtml(a)}</span>`
                 ).join('');
                 antonymsList.style.display = 'flex';
                 noAntonyms.style.display = 'none';
@@ -249,8 +294,78 @@ const FlashcardManager = {
         // Update navigation button states
         this.updateNavigationState();
 
-        // Update learned button state
-        this.updateLearnedState(word.id);
+        // Show when each grade would bring the word back
+        this.updateGradeButtons(word.id);
+    },
+
+    // --------------------------------------------------------------------------
+    // CARD DIRECTION
+    // --------------------------------------------------------------------------
+
+    /**
+     * Change which side of the cards is asked for this session
+     * @param {string} direction - 'en-bn', 'bn-en' or 'mixed'
+     */
+    setDirection(direction) {
+        const { directionToggle } = this.elements;
+        this.direction = direction;
+
+        directionToggle?.querySelectorAll('[data-direction]').forEach(button => {
+            button.setAttribute('aria-checked', String(button.dataset.direction === direction));
+        });
+
+        this.pickCardDirections();
+        if (this.words.length > 0) {
+            this.displayCard(this.currentIndex);
+            this.updateProgress();
+        }
+    },
+
+    /**
+     * Work out the direction of each loaded card
+     */
+    pickCardDirections() {
+        this.cardDirections = this.words.map(() => {
+            if (this.direction !== 'mixed') return this.direction;
+            return Math.random() < 0.5 ? 'en-bn' : 'bn-en';
+        });
+    },
+
+    /**
+     * Get the direction a card is shown in
+     * @param {number} index
+     * @returns {string} - 'en-bn' or 'bn-en'
+     */
+    getCardDirection(index) {
+        return this.cardDirections[index] || 'en-bn';
+    },
+
+    /**
+     * Fill in the reverse prompt and answer, and flip the layout to match
+     * @param {Object} word
+     * @param {string} direction - 'en-bn' or 'bn-en'
+     */
+    displayDirection(word, direction) {
+        const { flashcard, reversePrompt, reverseAnswerWord, reverseAnswerIpa, reverseAnswerContext } = this.elements;
+        const isReverse = direction === 'bn-en';
+
+        flashcard?.classList.toggle('reverse', isReverse);
+        if (!isReverse) return;
+
+        if (reversePrompt) {
+            // Meanings come from the shared bin, so they go in as text
+            const meanings = word.banglaMeanings || [];
+            reversePrompt.replaceChildren(...meanings.map(m => {
+                const item = document.createElement('span');
+                item.className = 'bangla-meaning-item';
+                item.textContent = m;
+                return item;
+            }));
+            if (meanings.length === 0) reversePrompt.textContent = '—';
+        }
+        if (reverseAnswerWord) reverseAnswerWord.textContent = word.english || '—';
+        if (reverseAnswerIpa) reverseAnswerIpa.textContent = word.ipa || '';
+        if (reverseAnswerContext) reverseAnswerContext.textContent = word.context || '';
     },
 
     /**
@@ -268,38 +383,49 @@ const FlashcardManager = {
     },
 
     /**
-     * Update learned button state
+     * Label each grading button with the interval it would give the word
      * @param {string} wordId
      */
-    updateLearnedState(wordId) {
-        const { markLearnedBtn } = this.elements;
-        if (!markLearnedBtn) return;
+    updateGradeButtons(wordId) {
+        const { gradeButtons } = this.elements;
+        const entry = StorageManager.getWordProgress(wordId, this.getCardDirection(this.currentIndex));
+
+        gradeButtons?.forEach(button => {
+            const { interval } = Scheduler.review(entry, button.dataset.grade);
+            const label = button.querySelector('[data-interval]');
+            if (label) label.textContent = Scheduler.formatInterval(interval);
+        });
+    },
 
-        const isLearned = StorageManager.isWordLearned(wordId);
+    /**
+     * Re-read review state after progress changed elsewhere
+     */
+    refreshProgress() {
+        if (this.words.length === 0) return;
 
-        if (isLearned) {
-            markLearnedBtn.classList.add('learned');
-            markLearnedBtn.querySelector('.action-label').textContent = 'Learned ✓';
-        } else {
-            markLearnedBtn.classList.remove('learned');
-            markLearnedBtn.querySelector('.action-label').textContent = 'Mark Learned';
-        }
+        this.updateGradeButtons(this.words[this.currentIndex].id);
+        this.updateProgress();
     },
 
     /**
-     * Update progress bar
+     * Update progress bar with the average mastery of the shown words
      */
     updateProgress() {
         const { progressFill, progressCount } = this.elements;
-        const learned = this.words.filter(w => StorageManager.isWordLearned(w.id)).length;
-        const total = this.words.length;
-        const percentage = total > 0 ? (learned / total) * 100 : 0;
+
+        // Repeated cards are counted once
+        const cards = this.words.slice(0, this.deckSize);
+        const total = cards.length;
+        const mastery = cards.reduce((sum, w, i) =>
+            sum + Scheduler.getMastery(StorageManager.getWordProgress(w.id, this.getCardDirection(i))), 0);
+        const percentage = total > 0 ? Math.round((mastery / total) * 100) : 0;
 
         if (progressFill) {
             progressFill.style.width = `${percentage}%`;
+            progressFill.parentElement?.setAttribute('aria-valuenow', percentage);
         }
         if (progressCount) {
-            progressCount.textContent = `${learned}/${total}`;
+            progressCount.textContent = `${percentage}%`;
         }
     },
 
@@ -343,26 +469,61 @@ const FlashcardManager = {
     },
 
     /**
-     * Toggle learned state for current word
+     * Grade the current word, schedule its next review and move on
+     * @param {string} grade - 'again', 'hard', 'good' or 'easy'
      */
-    toggleLearned() {
+    gradeCard(grade) {
         if (this.words.length === 0) return;
 
         const word = this.words[this.currentIndex];
-        const isLearned = StorageManager.isWordLearned(word.id);
+        const direction = this.getCardDirection(this.currentIndex);
+        const schedule = this.recordReview(word, grade, direction);
+        if (grade === 'again' && this.repeatMissed) {
+            this.repeatCard(this.currentIndex);
+        }
 
-        if (isLearned) {
-            StorageManager.unmarkWordAsLearned(word.id);
+        // Show feedback toast
+        const message = schedule.interval === 0
+            ? "You'll see this word again today"
+            : `Next review in ${Scheduler.formatInterval(schedule.interval)}`;
+        window.App?.showToast(message, schedule.interval === 0 ? 'info' : 'success');
+
+        if (this.currentIndex < this.words.length - 1) {
+            this.nextCard();
         } else {
-            StorageManager.markWordAsLearned(word.id);
+            this.updateGradeButtons(word.id);
         }
+    },
+
+    /**
+     * Schedule a word's next review from a grade and save it
+     * Every study mode records its answers through here.
+     * @param {Object} word
+     * @param {string} grade - 'again', 'hard', 'good' or 'easy'
+     * @param {string} direction - 'en-bn' or 'bn-en'
+     * @returns {Object} - The new schedule
+     */
+    recordReview(word, grade, direction = 'en-bn') {
+        const schedule = Scheduler.review(StorageManager.getWordProgress(word.id, direction), grade);
 
-        this.updateLearnedState(word.id);
+        StorageManager.saveReview(word.id, schedule, direction);
         this.updateProgress();
+        ProgressSync.schedulePush();
+        window.App?.updateReviewCount();
 
-        // Show feedback toast
-        const message = isLearned ? 'Removed from learned' : 'Marked as learned!';
-        window.App?.showToast(message, isLearned ? 'info' : 'success');
+        return schedule;
+    },
+
+    /**
+     * Add a card to the end of the session, in the same direction
+     * @param {number} index
+     */
+    repeatCard(index) {
+        const { totalCards } = this.elements;
+
+        this.words.push(this.words[index]);
+        this.cardDirections.push(this.getCardDirection(index));
+        if (totalCards) totalCards.textContent = this.words.length;
     },
 
     // --------------------------------------------------------------------------
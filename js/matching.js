@@ -0,0 +1,415 @@
+/**
+ * ==========================================================================
+ * MATCHING GAME
+ * Tap each word, then its synonym or antonym, against the clock
+ * ==========================================================================
+ *
+ * Words are played in timed rounds. Each word is paired with one of its
+ * synonyms or antonyms, picked at random, and the clues are shuffled into a
+ * second column. A clue that also fits another word in the round is accepted
+ * for it, as long as the rest of the round can still be matched. Words still
+ * open when time runs out count as missed, and every word is recorded as a
+ * review when its round ends.
+ */
+
+const MatchingManager = {
+    // Pairs per round and seconds to match them
+    ROUND_SIZE: 5,
+    ROUND_SECONDS: 60,
+
+    // How long a mismatched pair stays highlighted, in ms
+    MISMATCH_FLASH: 600,
+
+    // Grade recorded for each word when its round ends
+    RESULT_GRADES: {
+        matched: 'good',
+        slipped: 'hard',
+        missed: 'again',
+    },
+
+    // State
+    words: [],
+    rounds: [],
+    roundIndex: 0,
+    matchedWords: new Set(),
+    matchedClues: new Set(),
+    slipped: new Set(), // Words that were part of a mismatch this round
+    selected: { word: null, clue: null },
+    score: 0,
+    mistakes: 0,
+    timeLeft: 0,
+    timer: null,
+    resultsTimer: null,
+
+    // DOM Elements (cached on init)
+    elements: {},
+
+    // --------------------------------------------------------------------------
+    // INITIALIZATION
+    // --------------------------------------------------------------------------
+
+    /**
+     * Initialize the matching game
+     */
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+    },
+
+    /**
+     * Cache DOM elements for performance
+     */
+    cacheElements() {
+        this.elements = {
+            matchingGame: document.getElementById('matchingGame'),
+            matchingRound: document.getElementById('matchingRound'),
+            matchingRounds: document.getElementById('matchingRounds'),
+            matchingTimer: document.getElementById('matchingTimer'),
+            matchingScore: document.getElementById('matchingScore'),
+            matchingWords: document.getElementById('matchingWords'),
+            matchingClues: document.getElementById('matchingClues'),
+            matchingNextBtn: document.getElementById('matchingNextBtn'),
+            matchingResults: document.getElementById('matchingResults'),
+            matchingResultsScore: document.getElementById('matchingResultsScore'),
+            matchingResultsText: document.getElementById('matchingResultsText'),
+            matchingRestartBtn: document.getElementById('matchingRestartBtn'),
+        };
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const { matchingWords, matchingClues, matchingNextBtn, matchingRestartBtn } = this.elements;
+
+        [matchingWords, matchingClues].forEach(column => {
+            column?.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-pair]');
+                if (button) this.select(button.dataset.side, Number(button.dataset.pair));
+            });
+        });
+        matchingNextBtn?.addEventListener('click', () => this.showRound(this.roundIndex + 1));
+        matchingRestartBtn?.addEventListener('click', () => this.start(this.words));
+    },
+
+    // --------------------------------------------------------------------------
+    // ROUNDS
+    // --------------------------------------------------------------------------
+
+    /**
+     * Pair each word with one of its synonyms or antonyms and split them into rounds
+     * A clue is never used twice in a round, so every pair has one right answer.
+     * @param {Array} words
+     * @returns {Array} - Rounds of [{ word, clue, relation: 'synonym'|'antonym' }]
+     */
+    buildRounds(words) {
+        const rounds = [];
+        let round = [];
+        let usedClues = new Set();
+
+        Utils.shuffle(words).forEach(word => {
+            const options = Utils.shuffle([
+                ...(word.synonyms || []).map(clue => ({ clue, relation: 'synonym' })),
+                ...(word.antonyms || []).map(clue => ({ clue, relation: 'antonym' })),
+            ]).filter(option => option.clue && !usedClues.has(option.clue.toLowerCase()));
+
+            if (!word.english || options.length === 0) return;
+
+            round.push({ word, ...options[0] });
+            usedClues.add(options[0].clue.toLowerCase());
+
+            if (round.length === this.ROUND_SIZE) {
+                rounds.push(round);
+                round = [];
+                usedClues = new Set();
+            }
+        });
+
+        // A lone leftover pair would be no game, so it joins the last round
+        if (round.length === 1 && rounds.length > 0) {
+            rounds[rounds.length - 1].push(round[0]);
+        } else if (round.length > 0) {
+            rounds.push(round);
+        }
+
+        return rounds.filter(pairs => pairs.length > 1);
+    },
+
+    // --------------------------------------------------------------------------
+    // GAME FLOW
+    // --------------------------------------------------------------------------
+
+    /**
+     * Start a game on a set of words
+     * @param {Array} words
+     * @returns {boolean} - false if too few words have synonyms or antonyms
+     */
+    start(words) {
+        this.stop();
+        this.words = words;
+        this.rounds = this.buildRounds(words);
+        this.score = 0;
+        this.mistakes = 0;
+
+        if (this.rounds.length === 0) return false;
+
+        const { matchingGame, matchingResults, matchingRounds } = this.elements;
+        matchingGame && (matchingGame.style.display = 'block');
+        matchingResults && (matchingResults.style.display = 'none');
+        if (matchingRounds) matchingRounds.textContent = this.rounds.length;
+
+        this.showRound(0);
+        return true;
+    },
+
+    /**
+     * Lay out a round's words and shuffled clues and start its clock
+     * @param {number} index
+     */
+    showRound(index) {
+        const { matchingRound, matchingScore, matchingWords, matchingClues, matchingNextBtn } = this.elements;
+        const pairs = this.rounds[index];
+        if (!pairs) return;
+
+        this.roundIndex = index;
+        this.matchedWords = new Set();
+        this.matchedClues = new Set();
+        this.slipped = new Set();
+        this.selected = { word: null, clue: null };
+
+        if (matchingRound) matchingRound.textContent = index + 1;
+        if (matchingScore) matchingScore.textContent = this.score;
+
+        if (matchingWords) {
+            matchingWords.innerHTML = pairs.map((pair, i) => `
+                <button class="matching-item" data-side="word" data-pair="${i}">${Utils.escapeHtml(pair.word.english)}</button>
+            `).join('');
+        }
+        if (matchingClues) {
+            matchingClues.innerHTML = Utils.shuffle(pairs.map((pair, i) => ({ ...pair, i }))).map(pair => `
+                <button class="matching-item" data-side="clue" data-pair="${pair.i}">
+                    <span class="matching-relation ${pair.relation}" title="${pair.relation}" aria-label="${pair.relation}">${pair.relation === 'synonym' ? '≈' : '≠'}</span>
+                    ${Utils.escapeHtml(pair.clue)}
+                </button>
+            `).join('');
+        }
+        matchingNextBtn && (matchingNextBtn.style.display = 'none');
+
+        this.startTimer();
+    },
+
+    /**
+     * Select a word or clue, and check the pair once one of each is picked
+     * @param {string} side - 'word' or 'clue'
+     * @param {number} pair - Index of the pair the item was dealt with
+     */
+    select(side, pair) {
+        const matched = side === 'word' ? this.matchedWords : this.matchedClues;
+        if (matched.has(pair) || !this.timer) return;
+
+        // Tapping the selected item again deselects it
+        this.selected[side] = this.selected[side] === pair ? null : pair;
+        this.updateSelection();
+
+        const { word, clue } = this.selected;
+        if (word === null || clue === null) return;
+
+        const items = [this.getItem('word', word), this.getItem('clue', clue)].filter(Boolean);
+        if (this.canMatch(word, clue)) {
+            this.matchedWords.add(word);
+            this.matchedClues.add(clue);
+            this.score++;
+            items.forEach(item => {
+                item.classList.add('matched');
+                item.disabled = true;
+            });
+        } else {
+            this.mistakes++;
+            this.slipped.add(word);
+            items.forEach(item => item.classList.add('wrong'));
+            setTimeout(() => items.forEach(item => item.classList.remove('wrong')), this.MISMATCH_FLASH);
+        }
+
+        this.selected = { word: null, clue: null };
+        this.updateSelection();
+
+        const { matchingScore } = this.elements;
+        if (matchingScore) matchingScore.textContent = this.score;
+
+        if (this.matchedWords.size === this.rounds[this.roundIndex].length) {
+            this.endRound();
+        }
+    },
+
+    /**
+     * Check if a clue fits a word and the rest of the round can still be matched
+     * @param {number} wordIndex
+     * @param {number} clueIndex
+     * @returns {boolean}
+     */
+    canMatch(wordIndex, clueIndex) {
+        const pairs = this.rounds[this.roundIndex];
+        if (!this.fits(pairs[wordIndex].word, pairs[clueIndex])) return false;
+
+        const open = (matched, taken) => pairs.map((_, i) => i).filter(i => i !== taken && !matched.has(i));
+        return this.canMatchAll(open(this.matchedWords, wordIndex), open(this.matchedClues, clueIndex));
+    },
+
+    /**
+     * Check if every open word can be given its own open clue
+     * @param {Array<number>} words
+     * @param {Array<number>} clues
+     * @returns {boolean}
+     */
+    canMatchAll(words, clues) {
+        if (words.length === 0) return true;
+
+        const pairs = this.rounds[this.roundIndex];
+        const [first, ...rest] = words;
+        return clues.some(clue => this.fits(pairs[first].word, pairs[clue])
+            && this.canMatchAll(rest, clues.filter(other => other !== clue)));
+    },
+
+    /**
+     * Check if a clue is one of a word's synonyms or antonyms, as its badge says
+     * @param {Object} word
+     * @param {Object} pair - The pair the clue was dealt with: { clue, relation }
+     * @returns {boolean}
+     */
+    fits(word, pair) {
+        const options = pair.relation === 'synonym' ? word.synonyms : word.antonyms;
+        return (options || []).some(option => option && option.toLowerCase() === pair.clue.toLowerCase());
+    },
+
+    /**
+     * Highlight the selected word and clue
+     */
+    updateSelection() {
+        const { matchingWords, matchingClues } = this.elements;
+
+        [matchingWords, matchingClues].forEach(column => {
+            column?.querySelectorAll('[data-pair]').forEach(item => {
+                const isSelected = this.selected[item.dataset.side] === Number(item.dataset.pair);
+                item.classList.toggle('selected', isSelected);
+                item.setAttribute('aria-pressed', String(isSelected));
+            });
+        });
+    },
+
+    /**
+     * Find the button for one side of a pair
+     * @param {string} side - 'word' or 'clue'
+     * @param {number} pair
+     * @returns {HTMLElement|null}
+     */
+    getItem(side, pair) {
+        const column = side === 'word' ? this.elements.matchingWords : this.elements.matchingClues;
+        return column?.querySelector(`[data-pair="${pair}"]`) || null;
+    },
+
+    /**
+     * Finish the round: mark what was missed, record it and offer the next round or the score
+     */
+    endRound() {
+        const { matchingNextBtn } = this.elements;
+        this.stop();
+
+        this.rounds[this.roundIndex].forEach((_, i) => {
+            const missed = [
+                !this.matchedWords.has(i) && this.getItem('word', i),
+                !this.matchedClues.has(i) && this.getItem('clue', i),
+            ].filter(Boolean);
+
+            missed.forEach(item => {
+                item.classList.add('missed');
+                item.disabled = true;
+            });
+        });
+        this.recordRound();
+
+        if (this.roundIndex < this.rounds.length - 1) {
+            matchingNextBtn && (matchingNextBtn.style.display = 'inline-flex');
+        } else {
+            // Let the last match show before the score replaces the board
+            this.resultsTimer = setTimeout(() => this.showResults(), this.MISMATCH_FLASH);
+        }
+    },
+
+    /**
+     * Record each word of the round as a review of it
+     */
+    recordRound() {
+        this.rounds[this.roundIndex].forEach(({ word }, i) => {
+            let result = 'missed';
+            if (this.matchedWords.has(i)) {
+                result = this.slipped.has(i) ? 'slipped' : 'matched';
+            }
+            FlashcardManager.recordReview(word, this.RESULT_GRADES[result]);
+        });
+    },
+
+    /**
+     * Show the final score
+     */
+    showResults() {
+        const { matchingGame, matchingResults, matchingResultsScore, matchingResultsText } = this.elements;
+        const total = this.rounds.reduce((sum, pairs) => sum + pairs.length, 0);
+
+        matchingGame && (matchingGame.style.display = 'none');
+        matchingResults && (matchingResults.style.display = 'block');
+
+        if (matchingResultsScore) matchingResultsScore.textContent = `${this.score}/${total}`;
+        if (matchingResultsText) {
+            matchingResultsText.textContent = `${this.mistakes} ${this.mistakes === 1 ? 'mismatch' : 'mismatches'}`;
+        }
+    },
+
+    // --------------------------------------------------------------------------
+    // TIMER
+    // --------------------------------------------------------------------------
+
+    /**
+     * Count down the round, ending it when time runs out
+     */
+    startTimer() {
+        this.stop();
+        this.timeLeft = this.ROUND_SECONDS;
+        this.updateTimer();
+
+        this.timer = setInterval(() => {
+            this.timeLeft--;
+            this.updateTimer();
+
+            if (this.timeLeft <= 0) {
+                window.App?.showToast("Time's up!", 'info');
+                this.endRound();
+            }
+        }, 1000);
+    },
+
+    /**
+     * Show the time left in the round
+     */
+    updateTimer() {
+        const { matchingTimer } = this.elements;
+        if (!matchingTimer) return;
+
+        const minutes = Math.floor(this.timeLeft / 60);
+        const seconds = String(this.timeLeft % 60).padStart(2, '0');
+        matchingTimer.textContent = `${minutes}:${seconds}`;
+        matchingTimer.classList.toggle('running-out', this.timeLeft <= 10);
+    },
+
+    /**
+     * Stop the round clock and any pending score, e.g. when leaving the game
+     */
+    stop() {
+        clearInterval(this.timer);
+        clearTimeout(this.resultsTimer);
+        this.timer = null;
+        this.resultsTimer = null;
+    },
+};
+
+// Export for use in other modules
+window.MatchingManager = MatchingManager;
@@ -0,0 +1,184 @@
+/**
+ * ==========================================================================
+ * DATA MIGRATIONS
+ * Upgrades older bin records and local caches to the current schema
+ * ==========================================================================
+ */
+
+const MigrationManager = {
+    // Schema version this build reads and writes
+    CURRENT_VERSION: 2,
+
+    // How many pre-migration backups to keep
+    MAX_BACKUPS: 3,
+
+    // Ordered upgrades. Each one takes a record at (version - 1) and returns it
+    // at `version`. Migrations must stay self-contained so they keep working
+    // after the rest of the app changes.
+    MIGRATIONS: [
+        {
+            version: 1,
+            description: 'Fill in missing word fields',
+            migrate(record) {
+                const toArray = (field) => {
+                    if (Array.isArray(field)) return field.filter(item => item && String(item).trim());
+                    if (typeof field === 'string' && field.trim()) {
+                        return field.split(',').map(item => item.trim()).filter(Boolean);
+                    }
+                    return [];
+                };
+
+                const fallbackCreatedAt = record.meta.createdAt || new Date().toISOString();
+
+                // Words belong to the learner's local study day, not the UTC date
+                const studyDay = (timestamp) => {
+                    const date = new Date(timestamp);
+                    return DateUtils.getStudyDay(Number.isNaN(date.getTime()) ? new Date() : date);
+                };
+
+                record.words = record.words
+                    .filter(word => word && word.english)
+                    .map(word => ({
+                        ...word,
+                        id: word.id || StorageManager.generateId(),
+                        date: word.date || studyDay(word.createdAt || fallbackCreatedAt),
+                        ipa: word.ipa || '',
+                        context: word.context || '',
+                        meaning: word.meaning || '',
+                        banglaMeanings: toArray(word.banglaMeanings),
+                        synonyms: toArray(word.synonyms),
+                        antonyms: toArray(word.antonyms),
+                        isLearned: !!word.isLearned,
+                        createdAt: word.createdAt || (word.date ? `${word.date}T00:00:00.000Z` : fallbackCreatedAt),
+                    }));
+
+                return record;
+            },
+        },
+        {
+            version: 2,
+            description: 'Number words within each date and add update/revision markers',
+            migrate(record) {
+                // Valid numbers are kept; the first word to use a number keeps it
+                const taken = {};
+                const kept = record.words.map(word => {
+                    const number = Number(word.wordNumber);
+                    const numbers = taken[word.date] = taken[word.date] || new Set();
+                    if (!Number.isInteger(number) || number < 1 || numbers.has(number)) return null;
+
+                    numbers.add(number);
+                    return number;
+                });
+
+                // Words without one get the lowest number still free on their date
+                const nextFree = (date) => {
+                    let number = 1;
+                    while (taken[date].has(number)) number++;
+                    taken[date].add(number);
+                    return number;
+                };
+
+                record.words = record.words.map((word, i) => ({
+                    ...word,
+                    wordNumber: kept[i] || nextFree(word.date),
+                    updatedAt: word.updatedAt || word.createdAt,
+                }));
+
+                record.meta.revision = record.meta.revision || 0;
+                return record;
+            },
+        },
+    ],
+
+    // --------------------------------------------------------------------------
+    // RECORD MIGRATION
+    // --------------------------------------------------------------------------
+
+    /**
+     * Read the schema version of a record (records without one are version 0)
+     * @param {Object} record
+     * @returns {number}
+     */
+    getVersion(record) {
+        return record?.meta?.schemaVersion || 0;
+    },
+
+    /**
+     * Check if a record was written by an older schema
+     * @param {Object} record
+     * @returns {boolean}
+     */
+    needsMigration(record) {
+        return this.getVersion(record) < this.CURRENT_VERSION;
+    },
+
+    /**
+     * Run every pending migration on a copy of the record
+     * @param {Object} record
+     * @returns {Object} - Upgraded record
+     */
+    migrateRecord(record) {
+        const fromVersion = this.getVersion(record);
+        let migrated = JSON.parse(JSON.stringify(record || {}));
+        migrated.words = Array.isArray(migrated.words) ? migrated.words : [];
+        migrated.meta = migrated.meta || {};
+
+        this.MIGRATIONS
+            .filter(migration => migration.version > fromVersion)
+            .forEach(migration => {
+                migrated = migration.migrate(migrated);
+                migrated.meta.schemaVersion = migration.version;
+            });
+
+        return migrated;
+    },
+
+    /**
+     * Keep a copy of a record before it is overwritten by its upgrade
+     * @param {string} source - Where the record came from
+     * @param {Object} record
+     * @returns {Promise<boolean>} - false if the backup could not be stored
+     */
+    async backupRecord(source, record) {
+        const backups = StorageManager.getMigrationBackups();
+        backups.unshift({
+            source: source,
+            fromVersion: this.getVersion(record),
+            toVersion: this.CURRENT_VERSION,
+            backedUpAt: new Date().toISOString(),
+            record: record,
+        });
+
+        return StorageManager.saveMigrationBackups(backups.slice(0, this.MAX_BACKUPS));
+    },
+
+    // --------------------------------------------------------------------------
+    // LOCAL CACHES
+    // --------------------------------------------------------------------------
+
+    /**
+     * Upgrade words cached on this device by an older version of the app
+     * @returns {Promise<void>}
+     */
+    async migrateLocalData() {
+        const version = StorageManager.getLocalSchemaVersion();
+        if (version >= this.CURRENT_VERSION) return;
+
+        const words = StorageManager.getLocalWords();
+        if (words.length > 0) {
+            const record = { words: words, meta: { schemaVersion: version } };
+
+            if (!(await this.backupRecord('local-cache', record))) {
+                console.warn('Skipping local cache migration: backup failed');
+                return;
+            }
+
+            await StorageManager.saveLocalWords(this.migrateRecord(record).words);
+        }
+
+        StorageManager.setLocalSchemaVersion(this.CURRENT_VERSION);
+    },
+};
+
+// Export for use in other modules
+window.MigrationManager = MigrationManager;
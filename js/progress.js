@@ -0,0 +1,254 @@
+/**
+ * ==========================================================================
+ * PROGRESS SYNC
+ * Shares learned words and streaks between a learner's devices
+ * ==========================================================================
+ *
+ * Progress lives in its own record, separate from the word bin, so learners
+ * only need write access to their progress and never to the vocabulary:
+ *   { learners: { [learnerId]: { learned, streak, updatedAt } }, meta }
+ * where `learned` is { [wordId]: { learned, at, ...schedule } } and the
+ * schedule fields come from Scheduler.
+ */
+
+const ProgressSync = {
+    // Wait this long after a change before pushing, so quick taps share one write
+    PUSH_DELAY: 2000,
+
+    // Pending debounced push
+    pushTimer: null,
+
+    // Running sync, shared by overlapping callers
+    syncPromise: null,
+
+    // --------------------------------------------------------------------------
+    // CONFIGURATION
+    // --------------------------------------------------------------------------
+
+    /**
+     * Start syncing and retry whenever connectivity returns
+     */
+    init() {
+        window.addEventListener('online', () => this.sync());
+        this.sync();
+    },
+
+    /**
+     * Build a backend config for the progress record
+     * @returns {Object}
+     */
+    getConfig() {
+        const settings = StorageManager.getProgressSyncSettings();
+
+        return {
+            backend: StorageManager.getApiCredentials().backend,
+            apiKey: settings.key,
+            binId: settings.binId,
+            endpoint: settings.endpoint,
+            readOnly: false,
+        };
+    },
+
+    /**
+     * Check if progress sync is switched on and fully configured
+     * @param {Object} settings - Defaults to the saved settings
+     * @param {string} backendId - Defaults to the saved word backend
+     * @returns {boolean}
+     */
+    isEnabled(settings = StorageManager.getProgressSyncSettings(), backendId = StorageManager.getApiCredentials().backend) {
+        const config = { apiKey: settings.key, binId: settings.binId, endpoint: settings.endpoint, readOnly: false };
+        const backend = StorageBackends.get(backendId);
+
+        // Progress on a device-only backend has nowhere to go
+        return !!(settings.enabled && settings.learnerId && backend.requiresNetwork && backend.isConfigured(config));
+    },
+
+    // --------------------------------------------------------------------------
+    // SYNC
+    // --------------------------------------------------------------------------
+
+    /**
+     * Push local changes after a short pause
+     */
+    schedulePush() {
+        if (!this.isEnabled()) return;
+
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => this.sync(), this.PUSH_DELAY);
+    },
+
+    /**
+     * Merge local and cloud progress, then store the result in both places
+     * @returns {Promise<boolean>} - true if the sync completed
+     */
+    async sync() {
+        if (!this.isEnabled() || !navigator.onLine) return false;
+        if (this.syncPromise) return this.syncPromise;
+
+        this.syncPromise = (async () => {
+            const config = this.getConfig();
+            const backend = StorageBackends.get(config.backend);
+            const { learnerId } = StorageManager.getProgressSyncSettings();
+            const profileId = StorageManager.getActiveProfileId();
+
+            try {
+                const record = await backend.fetchAll(config);
+
+                // Don't write one profile's progress into another after a switch
+                if (StorageManager.getActiveProfileId() !== profileId) return false;
+
+                const learners = { ...(record.learners || {}) };
+                const local = this.getLocalProgress();
+                const merged = this.mergeProgress(local, learners[learnerId]);
+
+                if (!this.isSameProgress(local, merged)) {
+                    this.saveLocalProgress(merged);
+                    window.dispatchEvent(new CustomEvent('progresschange'));
+                }
+
+                // Only write when the cloud copy is missing something
+                if (!this.isSameProgress(learners[learnerId], merged)) {
+                    learners[learnerId] = { ...merged, updatedAt: new Date().toISOString() };
+                    await backend.save(config, {
+                        learners: learners,
+                        meta: { ...(record.meta || {}), lastUpdated: new Date().toISOString() },
+                    });
+                }
+                return true;
+            } catch (error) {
+                console.error('Failed to sync progress:', error);
+                return false;
+            }
+        })();
+
+        try {
+            return await this.syncPromise;
+        } finally {
+            this.syncPromise = null;
+        }
+    },
+
+    /**
+     * Read this device's progress
+     * @returns {Object} - { learned, streak }
+     */
+    getLocalProgress() {
+        return {
+            learned: StorageManager.getLearnedLog(),
+            streak: StorageManager.getStreakData(),
+        };
+    },
+
+    /**
+     * Replace this device's progress
+     * @param {Object} progress - { learned, streak }
+     */
+    saveLocalProgress(progress) {
+        StorageManager.saveLearnedLog(progress.learned);
+        StorageManager.saveStreakData(progress.streak);
+    },
+
+    // --------------------------------------------------------------------------
+    // MERGING
+    // --------------------------------------------------------------------------
+
+    /**
+     * Combine progress from two devices
+     * @param {Object} local - { learned, streak }
+     * @param {Object} remote - { learned, streak }, or undefined on first sync
+     * @returns {Object}
+     */
+    mergeProgress(local, remote) {
+        if (!remote) return local;
+
+        return {
+            learned: this.mergeLearned(local.learned, remote.learned || {}),
+            streak: this.mergeStreaks(local.streak, remote.streak),
+        };
+    },
+
+    /**
+     * Union of learned words; when both sides have a word, the later entry wins
+     * outright, so a lapse on one device reaches the others
+     * @param {Object} a - { [wordId]: { learned, at, ...schedule } }
+     * @param {Object} b - { [wordId]: { learned, at, ...schedule } }
+     * @returns {Object}
+     */
+    mergeLearned(a, b) {
+        const merged = { ...a };
+
+        Object.entries(b).forEach(([wordId, entry]) => {
+            const current = merged[wordId];
+            if (!current || (entry.at || '') > (current.at || '')) {
+                merged[wordId] = entry;
+            } else if (!entry.at && !current.at && entry.learned) {
+                // Undated entries come from before the log existed: keep learned
+                merged[wordId] = entry;
+            }
+        });
+
+        return merged;
+    },
+
+    /**
+     * Combine two streaks: the active and frozen days of both, and the run they make together
+     * @param {Object} a - { currentStreak, lastActiveDate, longestStreak, activeDays, frozenDays, freezes }
+     * @param {Object} b - Same shape; older versions only have currentStreak and lastActiveDate
+     * @returns {Object}
+     */
+    mergeStreaks(a, b) {
+        if (!b?.lastActiveDate) return a;
+        if (!a?.lastActiveDate) return StorageManager.normalizeStreak(b);
+
+        a = StorageManager.normalizeStreak(a);
+        b = StorageManager.normalizeStreak(b);
+        const [earlier, later] = a.lastActiveDate <= b.lastActiveDate ? [a, b] : [b, a];
+
+        let currentStreak = later.currentStreak;
+        let freezes = later.freezes;
+        if (earlier.lastActiveDate === later.lastActiveDate) {
+            currentStreak = Math.max(earlier.currentStreak, later.currentStreak);
+            // A freeze spent on either device is gone
+            freezes = Math.min(earlier.freezes, later.freezes);
+        } else if (DateUtils.daysBetween(earlier.lastActiveDate, later.lastActiveDate) === 1) {
+            // The earlier device's run ended the day before: the two runs join up
+            currentStreak = Math.max(later.currentStreak, earlier.currentStreak + 1);
+        }
+
+        // Days studied on one device can fill the gaps in the other's run
+        const days = new Set([...earlier.activeDays, ...later.activeDays, ...earlier.frozenDays, ...later.frozenDays]);
+        let run = 0;
+        for (let day = later.lastActiveDate; days.has(day); day = DateUtils.addDays(day, -1)) {
+            run++;
+        }
+        currentStreak = Math.max(currentStreak, run);
+
+        // Normalized so the combined history is trimmed just like a saved one
+        return StorageManager.normalizeStreak({
+            currentStreak: currentStreak,
+            lastActiveDate: later.lastActiveDate,
+            longestStreak: Math.max(earlier.longestStreak, later.longestStreak, currentStreak),
+            activeDays: [...earlier.activeDays, ...later.activeDays],
+            frozenDays: [...earlier.frozenDays, ...later.frozenDays],
+            freezes: freezes,
+        });
+    },
+
+    /**
+     * Compare two progress snapshots
+     * @param {Object} a
+     * @param {Object} b
+     * @returns {boolean}
+     */
+    isSameProgress(a, b) {
+        if (!a || !b) return false;
+
+        // Key order differs between devices, so compare sorted entries
+        const sorted = (learned) => Object.keys(learned || {}).sort().map(wordId => [wordId, learned[wordId]]);
+        return JSON.stringify(sorted(a.learned)) === JSON.stringify(sorted(b.learned))
+            && JSON.stringify(a.streak) === JSON.stringify(b.streak);
+    },
+};
+
+// Export for use in other modules
+window.ProgressSync = ProgressSync;
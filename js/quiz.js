@@ -0,0 +1,286 @@
+/**
+ * ==========================================================================
+ * MEANING QUIZ
+ * Multiple-choice questions on the Bangla meaning of each word
+ * ==========================================================================
+ *
+ * Each question shows the English word with its IPA and a handful of Bangla
+ * meanings to choose from. Wrong choices are other words' meanings from the
+ * bin. A right answer is graded Good; a wrong one is graded Again, which puts
+ * the word back into today's reviews.
+ */
+
+const QuizManager = {
+    // Choices per question, including the right one
+    CHOICE_COUNT: 4,
+
+    // State
+    questions: [],
+    currentIndex: 0,
+    score: 0,
+    answered: false,
+    missed: [],
+    words: [],
+    pool: [],
+
+    // DOM Elements (cached on init)
+    elements: {},
+
+    // --------------------------------------------------------------------------
+    // INITIALIZATION
+    // --------------------------------------------------------------------------
+
+    /**
+     * Initialize quiz functionality
+     */
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+    },
+
+    /**
+     * Cache DOM elements for performance
+     */
+    cacheElements() {
+        this.elements = {
+            quizView: document.getElementById('quizView'),
+            quizQuestion: document.getElementById('quizQuestion'),
+            quizNumber: document.getElementById('quizNumber'),
+            quizTotal: document.getElementById('quizTotal'),
+            quizScore: document.getElementById('quizScore'),
+            quizWord: document.getElementById('quizWord'),
+            quizIpa: document.getElementById('quizIpa'),
+            quizChoices: document.getElementById('quizChoices'),
+            quizFeedback: document.getElementById('quizFeedback'),
+            quizNextBtn: document.getElementById('quizNextBtn'),
+            quizResults: document.getElementById('quizResults'),
+            quizResultsScore: document.getElementById('quizResultsScore'),
+            quizResultsText: document.getElementById('quizResultsText'),
+            quizMissedList: document.getElementById('quizMissedList'),
+            quizRestartBtn: document.getElementById('quizRestartBtn'),
+        };
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const { quizChoices, quizNextBtn, quizRestartBtn } = this.elements;
+
+        quizChoices?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-choice]');
+            if (button) this.answer(Number(button.dataset.choice));
+        });
+        quizNextBtn?.addEventListener('click', () => this.next());
+        quizRestartBtn?.addEventListener('click', () => this.start(this.words, this.pool));
+
+        // Number keys pick a choice, Enter moves on
+        document.addEventListener('keydown', (e) => {
+            if (!this.isVisible() || e.target.closest('input, select, textarea')) return;
+
+            const choice = Number(e.key) - 1;
+            if (choice >= 0 && choice < this.CHOICE_COUNT) {
+                this.answer(choice);
+            } else if (e.key === 'Enter' && this.answered) {
+                e.preventDefault();
+                this.next();
+            }
+        });
+    },
+
+    /**
+     * Check if the quiz is on screen
+     * @returns {boolean}
+     */
+    isVisible() {
+        const { quizView } = this.elements;
+        return !!quizView && quizView.style.display !== 'none';
+    },
+
+    // --------------------------------------------------------------------------
+    // QUESTIONS
+    // --------------------------------------------------------------------------
+
+    /**
+     * Get the text of a word's answer choice
+     * @param {Object} word
+     * @returns {string} - Its Bangla meanings, or '' if it has none
+     */
+    getChoiceText(word) {
+        return (word.banglaMeanings || []).filter(Boolean).join(', ');
+    },
+
+    /**
+     * Build a question for each word that has a Bangla meaning
+     * @param {Array} words - Words to ask about
+     * @param {Array} pool - All words, to draw wrong choices from
+     * @returns {Array} - [{ word, choices, answer }], answer is the right choice's index
+     */
+    buildQuestions(words, pool) {
+        return words
+            .filter(word => this.getChoiceText(word))
+            .map(word => {
+                const meanings = new Set(word.banglaMeanings);
+                const correct = this.getChoiceText(word);
+
+                // Skip words sharing a meaning, they would make two right answers
+                const distractors = [...new Set(pool
+                    .filter(other => other.id !== word.id
+                        && !(other.banglaMeanings || []).some(m => meanings.has(m)))
+                    .map(other => this.getChoiceText(other))
+                    .filter(text => text && text !== correct))];
+
+                const choices = Utils.shuffle([
+                    correct,
+                    ...Utils.shuffle(distractors).slice(0, this.CHOICE_COUNT - 1),
+                ]);
+
+                return { word, choices, answer: choices.indexOf(correct) };
+            })
+            // A question needs at least one wrong choice
+            .filter(question => question.choices.length > 1);
+    },
+
+    // --------------------------------------------------------------------------
+    // QUIZ FLOW
+    // --------------------------------------------------------------------------
+
+    /**
+     * Start a quiz on a set of words
+     * @param {Array} words - Words to ask about
+     * @param {Array} pool - All words, to draw wrong choices from
+     * @returns {boolean} - false if there weren't enough meanings for a quiz
+     */
+    start(words, pool) {
+        this.words = words;
+        this.pool = pool;
+        this.questions = Utils.shuffle(this.buildQuestions(words, pool));
+        this.currentIndex = 0;
+        this.score = 0;
+        this.missed = [];
+
+        if (this.questions.length === 0) return false;
+
+        const { quizQuestion, quizResults, quizTotal } = this.elements;
+        quizQuestion && (quizQuestion.style.display = 'block');
+        quizResults && (quizResults.style.display = 'none');
+        if (quizTotal) quizTotal.textContent = this.questions.length;
+
+        this.showQuestion(0);
+        return true;
+    },
+
+    /**
+     * Show a question and its choices
+     * @param {number} index
+     */
+    showQuestion(index) {
+        const { quizNumber, quizScore, quizWord, quizIpa, quizChoices, quizFeedback, quizNextBtn } = this.elements;
+        const { word, choices } = this.questions[index];
+
+        this.currentIndex = index;
+        this.answered = false;
+
+        if (quizNumber) quizNumber.textContent = index + 1;
+        if (quizScore) quizScore.textContent = this.score;
+        if (quizWord) quizWord.textContent = word.english || '—';
+        if (quizIpa) quizIpa.textContent = word.ipa || '/—/';
+
+        if (quizChoices) {
+            quizChoices.innerHTML = choices.map((choice, i) => `
+                <button class="quiz-choice" data-choice="${i}" lang="bn" aria-keyshortcuts="${i + 1}">${Utils.escapeHtml(choice)}</button>
+            `).join('');
+        }
+
+        if (quizFeedback) {
+            quizFeedback.textContent = '';
+            quizFeedback.className = 'quiz-feedback';
+        }
+        quizNextBtn && (quizNextBtn.style.display = 'none');
+    },
+
+    /**
+     * Check the learner's choice and show right or wrong
+     * @param {number} choice - Index of the chosen answer
+     */
+    answer(choice) {
+        const question = this.questions[this.currentIndex];
+        if (!question || this.answered || choice >= question.choices.length) return;
+
+        const { quizChoices, quizFeedback, quizScore, quizNextBtn } = this.elements;
+        const isCorrect = choice === question.answer;
+        this.answered = true;
+
+        quizChoices?.querySelectorAll('.quiz-choice').forEach((button, i) => {
+            button.disabled = true;
+            if (i === question.answer) button.classList.add('correct');
+            else if (i === choice) button.classList.add('wrong');
+        });
+
+        if (isCorrect) {
+            this.score++;
+        } else {
+            this.missed.push(question.word);
+        }
+        this.recordAnswer(question.word, isCorrect);
+
+        if (quizScore) quizScore.textContent = this.score;
+        if (quizFeedback) {
+            quizFeedback.textContent = isCorrect
+                ? 'Correct!'
+                : `Not quite. ${question.word.english} means ${question.choices[question.answer]}.`;
+            quizFeedback.classList.add(isCorrect ? 'correct' : 'wrong');
+        }
+        if (quizNextBtn) {
+            quizNextBtn.textContent = this.currentIndex < this.questions.length - 1 ? 'Next' : 'See Score';
+            quizNextBtn.style.display = 'inline-flex';
+            quizNextBtn.focus();
+        }
+    },
+
+    /**
+     * Move to the next question, or the score once all are answered
+     */
+    next() {
+        if (!this.answered) return;
+
+        if (this.currentIndex < this.questions.length - 1) {
+            this.showQuestion(this.currentIndex + 1);
+        } else {
+            this.showResults();
+        }
+    },
+
+    /**
+     * Show the final score and the words that were missed
+     */
+    showResults() {
+        const { quizQuestion, quizResults, quizResultsScore, quizResultsText, quizMissedList } = this.elements;
+        const total = this.questions.length;
+
+        quizQuestion && (quizQuestion.style.display = 'none');
+        quizResults && (quizResults.style.display = 'block');
+
+        if (quizResultsScore) quizResultsScore.textContent = `${this.score}/${total}`;
+        if (quizResultsText) {
+            quizResultsText.textContent = this.missed.length === 0
+                ? 'Every answer right. Well done!'
+                : `${this.missed.length} missed ${this.missed.length === 1 ? 'word was' : 'words were'} added to your reviews.`;
+        }
+        if (quizMissedList) {
+            quizMissedList.innerHTML = Utils.renderMissedList(this.missed);
+        }
+    },
+
+    /**
+     * Record an answer as a review of the word
+     * @param {Object} word
+     * @param {boolean} isCorrect
+     */
+    recordAnswer(word, isCorrect) {
+        FlashcardManager.recordReview(word, isCorrect ? 'good' : 'again');
+    },
+};
+
+// Export for use in other modules
+window.QuizManager = QuizManager;
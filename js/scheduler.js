@@ -0,0 +1,235 @@
+/**
+ * ==========================================================================
+ * REVIEW SCHEDULER
+ * Spaced repetition (SM-2) for deciding when each word comes back
+ * ==========================================================================
+ *
+ * Each word's progress entry carries its schedule next to the learned flag:
+ *   { learned, at, ease, interval, repetitions, lapses, due }
+ * `interval` is in days and `due` is the study day it should be reviewed.
+ * Grading Again/Hard/Good/Easy maps to SM-2 answer qualities 1/3/4/5.
+ */
+
+const Scheduler = {
+    // Grades offered after each card, with their SM-2 answer quality
+    GRADES: {
+        again: 1,
+        hard: 3,
+        good: 4,
+        easy: 5,
+    },
+
+    // Starting ease factor and the lowest it can drop to
+    DEFAULT_EASE: 2.5,
+    MIN_EASE: 1.3,
+
+    // Intervals for the first two successful reviews, in days
+    FIRST_INTERVAL: 1,
+    SECOND_INTERVAL: 6,
+
+    // Hard grows the interval by this much instead of the ease factor
+    HARD_FACTOR: 1.2,
+
+    // Extra growth for Easy on top of the ease factor
+    EASY_BONUS: 1.3,
+
+    // A word counts as mastered once it can wait this many days
+    MASTERED_INTERVAL: 21,
+
+    // Review queue order: due words, then difficult ones, then new ones
+    PRIORITY: {
+        due: 0,
+        difficult: 1,
+        new: 2,
+    },
+
+    // --------------------------------------------------------------------------
+    // SCHEDULES
+    // --------------------------------------------------------------------------
+
+    /**
+     * Read the schedule from a progress entry
+     * Words marked learned before scheduling existed come back for review
+     * today as if they had passed two reviews.
+     * @param {Object} entry - Progress entry, or undefined for a new word
+     * @returns {Object} - { ease, interval, repetitions, lapses, due }, due is null for new words
+     */
+    getSchedule(entry) {
+        if (entry && Number.isFinite(entry.interval)) {
+            return {
+                ease: entry.ease || this.DEFAULT_EASE,
+                interval: entry.interval,
+                repetitions: entry.repetitions || 0,
+                lapses: entry.lapses || 0,
+                due: entry.due || null,
+            };
+        }
+
+        if (entry?.learned) {
+            return {
+                ease: this.DEFAULT_EASE,
+                interval: this.SECOND_INTERVAL,
+                repetitions: 2,
+                lapses: 0,
+                due: DateUtils.today(),
+            };
+        }
+
+        return { ease: this.DEFAULT_EASE, interval: 0, repetitions: 0, lapses: 0, due: null };
+    },
+
+    /**
+     * Work out the next schedule after grading a word
+     * @param {Object} entry - Current progress entry, or undefined for a new word
+     * @param {string} grade - 'again', 'hard', 'good' or 'easy'
+     * @param {string} today - Study day of the review, YYYY-MM-DD
+     * @returns {Object} - { ease, interval, repetitions, lapses, due }
+     */
+    review(entry, grade, today = DateUtils.today()) {
+        const quality = this.GRADES[grade];
+        if (quality === undefined) {
+            throw new Error(`Unknown grade: ${grade}`);
+        }
+
+        const schedule = this.getSchedule(entry);
+
+        if (quality < 3) {
+            // Forgotten: start over and see it again today
+            return {
+                ease: Math.max(this.MIN_EASE, schedule.ease - 0.2),
+                interval: 0,
+                repetitions: 0,
+                lapses: schedule.lapses + 1,
+                due: today,
+            };
+        }
+
+        const repetitions = schedule.repetitions + 1;
+        let interval;
+        if (repetitions === 1) {
+            interval = grade === 'easy' ? this.SECOND_INTERVAL : this.FIRST_INTERVAL;
+        } else if (repetitions === 2) {
+            interval = grade === 'hard' ? schedule.interval + 1 : this.SECOND_INTERVAL;
+        } else {
+            const factor = grade === 'hard' ? this.HARD_FACTOR : schedule.ease;
+            interval = Math.round(schedule.interval * factor * (grade === 'easy' ? this.EASY_BONUS : 1));
+        }
+        // Always move forward by at least a day
+        interval = Math.max(interval, schedule.interval + 1);
+
+        // SM-2 ease update: Easy raises it, Good keeps it, Hard lowers it
+        const miss = 5 - quality;
+        const ease = Math.max(this.MIN_EASE, schedule.ease + 0.1 - miss * (0.08 + miss * 0.02));
+
+        return {
+            ease: Math.round(ease * 100) / 100,
+            interval: interval,
+            repetitions: repetitions,
+            lapses: schedule.lapses,
+            due: DateUtils.addDays(today, interval),
+        };
+    },
+
+    // --------------------------------------------------------------------------
+    // PROGRESS
+    // --------------------------------------------------------------------------
+
+    /**
+     * How well a word is known, from 0 (new or forgotten) to 1 (mastered)
+     * @param {Object} entry - Progress entry
+     * @returns {number}
+     */
+    getMastery(entry) {
+        return Math.min(this.getSchedule(entry).interval / this.MASTERED_INTERVAL, 1);
+    },
+
+    /**
+     * Check if a word is due for review
+     * @param {Object} entry - Progress entry
+     * @param {string} today - YYYY-MM-DD
+     * @returns {boolean} - false for words never reviewed
+     */
+    isDue(entry, today = DateUtils.today()) {
+        const { due } = this.getSchedule(entry);
+        return !!due && due <= today;
+    },
+
+    /**
+     * Check if a word keeps giving the learner trouble
+     * Words that were forgotten or graded Hard stay difficult until mastered.
+     * @param {Object} entry - Progress entry
+     * @returns {boolean}
+     */
+    isDifficult(entry) {
+        const { ease, interval, lapses } = this.getSchedule(entry);
+        return (lapses > 0 || ease < this.DEFAULT_EASE) && interval < this.MASTERED_INTERVAL;
+    },
+
+    // --------------------------------------------------------------------------
+    // REVIEW QUEUE
+    // --------------------------------------------------------------------------
+
+    /**
+     * Work out where a word belongs in the review queue
+     * @param {Object} entry - Progress entry
+     * @param {string} today - YYYY-MM-DD
+     * @returns {number|null} - One of PRIORITY, or null if the word can wait
+     */
+    getPriority(entry, today = DateUtils.today()) {
+        if (this.isDue(entry, today)) return this.PRIORITY.due;
+        if (this.isDifficult(entry)) return this.PRIORITY.difficult;
+        if (!this.getSchedule(entry).due) return this.PRIORITY.new;
+        return null;
+    },
+
+    /**
+     * Gather the words waiting for review across all dates
+     * Due words come first, longest overdue first; difficult words follow,
+     * hardest first; new words come last, oldest date first.
+     * @param {Array} words - All words
+     * @param {Object} progress - { [wordId]: entry } for the active learner
+     * @param {string} today - YYYY-MM-DD
+     * @returns {Array} - Words in the order they should be reviewed
+     */
+    getReviewQueue(words, progress, today = DateUtils.today()) {
+        return words
+            // Words scheduled for a later day haven't been taught yet
+            .filter(word => !word.date || word.date <= today)
+            .map(word => {
+                const entry = progress[word.id];
+                return { word, entry, priority: this.getPriority(entry, today) };
+            })
+            .filter(item => item.priority !== null)
+            .sort((a, b) => {
+                if (a.priority !== b.priority) return a.priority - b.priority;
+
+                const scheduleA = this.getSchedule(a.entry);
+                const scheduleB = this.getSchedule(b.entry);
+                if (a.priority === this.PRIORITY.due && scheduleA.due !== scheduleB.due) {
+                    return scheduleA.due < scheduleB.due ? -1 : 1;
+                }
+                if (a.priority === this.PRIORITY.new) {
+                    return (a.word.date || '').localeCompare(b.word.date || '');
+                }
+                return scheduleA.ease - scheduleB.ease;
+            })
+            .map(item => item.word);
+    },
+
+    /**
+     * Describe an interval for a grading button
+     * @param {number} days
+     * @returns {string} - e.g. 'Today', '1 day', '3 wk', '2 mo'
+     */
+    formatInterval(days) {
+        if (days < 1) return 'Today';
+        if (days === 1) return '1 day';
+        if (days < 14) return `${days} days`;
+        if (days < 60) return `${Math.round(days / 7)} wk`;
+        if (days < 365) return `${Math.round(days / 30)} mo`;
+        return `${Math.round(days / 36.5) / 10} yr`;
+    },
+};
+
+// Export for use in other modules
+window.Scheduler = Scheduler;
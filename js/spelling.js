@@ -0,0 +1,370 @@
+/**
+ * ==========================================================================
+ * SPELLING PRACTICE
+ * Type the English word from its meanings and pronunciation
+ * ==========================================================================
+ *
+ * Answers are compared ignoring case and extra spaces. An answer a letter or
+ * two away from the word counts as "almost" and shows which letters differ.
+ * Each answer is recorded as a review: right is Good, almost is Hard and
+ * wrong is Again.
+ */
+
+const SpellingManager = {
+    // Grade recorded for each verdict
+    VERDICT_GRADES: {
+        correct: 'good',
+        almost: 'hard',
+        wrong: 'again',
+    },
+
+    // Words longer than this may have two typos and still be "almost"
+    LONG_WORD_LENGTH: 6,
+
+    // State
+    words: [],
+    currentIndex: 0,
+    score: 0,
+    checked: false,
+    missed: [],
+
+    // DOM Elements (cached on init)
+    elements: {},
+
+    // --------------------------------------------------------------------------
+    // INITIALIZATION
+    // --------------------------------------------------------------------------
+
+    /**
+     * Initialize spelling practice
+     */
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+    },
+
+    /**
+     * Cache DOM elements for performance
+     */
+    cacheElements() {
+        this.elements = {
+            spellingQuestion: document.getElementById('spellingQuestion'),
+            spellingNumber: document.getElementById('spellingNumber'),
+            spellingTotal: document.getElementById('spellingTotal'),
+            spellingScore: document.getElementById('spellingScore'),
+            spellingBangla: document.getElementById('spellingBangla'),
+            spellingDefinition: document.getElementById('spellingDefinition'),
+            spellingIpa: document.getElementById('spellingIpa'),
+            spellingForm: document.getElementById('spellingForm'),
+            spellingInput: document.getElementById('spellingInput'),
+            spellingCheckBtn: document.getElementById('spellingCheckBtn'),
+            spellingVerdict: document.getElementById('spellingVerdict'),
+            spellingNextBtn: document.getElementById('spellingNextBtn'),
+            spellingResults: document.getElementById('spellingResults'),
+            spellingResultsScore: document.getElementById('spellingResultsScore'),
+            spellingResultsText: document.getElementById('spellingResultsText'),
+            spellingMissedList: document.getElementById('spellingMissedList'),
+            spellingRestartBtn: document.getElementById('spellingRestartBtn'),
+        };
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const { spellingForm, spellingNextBtn, spellingRestartBtn } = this.elements;
+
+        spellingForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.check();
+        });
+        spellingNextBtn?.addEventListener('click', () => this.next());
+        spellingRestartBtn?.addEventListener('click', () => this.start(this.words));
+    },
+
+    // --------------------------------------------------------------------------
+    // ANSWER CHECKING
+    // --------------------------------------------------------------------------
+
+    /**
+     * Tidy an answer for comparison: trimmed, single spaces, lower case
+     * @param {string} text
+     * @returns {string}
+     */
+    normalize(text) {
+        return (text || '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+    },
+
+    /**
+     * Check a typed answer against the word
+     * @param {string} typed - What the learner typed
+     * @param {string} expected - The English word
+     * @returns {Object} - { verdict: 'correct'|'almost'|'wrong', distance, typed, expected, ops }
+     */
+    checkAnswer(typed, expected) {
+        // Keep the learner's letters for display but compare without case
+        const shownTyped = (typed || '').normalize('NFC').trim().replace(/\s+/g, ' ');
+        const shownExpected = (expected || '').normalize('NFC').trim().replace(/\s+/g, ' ');
+        const { distance, ops } = this.compare(this.normalize(typed), this.normalize(expected));
+
+        let verdict = 'wrong';
+        if (distance === 0) {
+            verdict = 'correct';
+        } else if (shownTyped && distance <= this.getAllowedTypos(shownExpected)) {
+            verdict = 'almost';
+        }
+
+        return { verdict, distance, typed: shownTyped, expected: shownExpected, ops };
+    },
+
+    /**
+     * How many typos a word can have and still be "almost" right
+     * @param {string} word
+     * @returns {number}
+     */
+    getAllowedTypos(word) {
+        // Very short words have no room for a typo
+        if (word.length < 3) return 0;
+        return word.length > this.LONG_WORD_LENGTH ? 2 : 1;
+    },
+
+    /**
+     * Work out the fewest letter edits from one string to another (Levenshtein)
+     * @param {string} typed
+     * @param {string} expected
+     * @returns {Object} - { distance, ops }, each op is
+     *   { type: 'same'|'change'|'extra'|'missing', typedIndex, expectedIndex }
+     */
+    compare(typed, expected) {
+        const a = [...typed];
+        const b = [...expected];
+        const costs = Array.from({ length: a.length + 1 }, (_, i) =>
+            Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+        );
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                costs[i][j] = Math.min(
+                    costs[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+                    costs[i - 1][j] + 1,
+                    costs[i][j - 1] + 1
+                );
+            }
+        }
+
+        // Walk back from the end to find which letters differ
+        const ops = [];
+        let i = a.length;
+        let j = b.length;
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0 && costs[i][j] === costs[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)) {
+                ops.unshift({ type: a[i - 1] === b[j - 1] ? 'same' : 'change', typedIndex: i - 1, expectedIndex: j - 1 });
+                i--;
+                j--;
+            } else if (i > 0 && costs[i][j] === costs[i - 1][j] + 1) {
+                ops.unshift({ type: 'extra', typedIndex: i - 1, expectedIndex: null });
+                i--;
+            } else {
+                ops.unshift({ type: 'missing', typedIndex: null, expectedIndex: j - 1 });
+                j--;
+            }
+        }
+
+        return { distance: costs[a.length][b.length], ops };
+    },
+
+    /**
+     * Render both spellings with the differing letters highlighted
+     * @param {Object} result - From checkAnswer
+     * @returns {Object} - { typed, expected } as HTML
+     */
+    renderDiff({ typed, expected, ops }) {
+        const typedLetters = [...typed];
+        const expectedLetters = [...expected];
+        const mark = (letter) => `<mark class="spelling-diff">${Utils.escapeHtml(letter)}</mark>`;
+
+        let typedHtml = '';
+        let expectedHtml = '';
+        ops.forEach(op => {
+            const typedLetter = op.typedIndex !== null ? typedLetters[op.typedIndex] : '';
+            const expectedLetter = op.expectedIndex !== null ? expectedLetters[op.expectedIndex] : '';
+
+            if (op.type === 'same') {
+                typedHtml += Utils.escapeHtml(typedLetter);
+                expectedHtml += Utils.escapeHtml(expectedLetter);
+                return;
+            }
+            if (typedLetter) typedHtml += mark(typedLetter);
+            if (expectedLetter) expectedHtml += mark(expectedLetter);
+        });
+
+        return { typed: typedHtml, expected: expectedHtml };
+    },
+
+    // --------------------------------------------------------------------------
+    // PRACTICE FLOW
+    // --------------------------------------------------------------------------
+
+    /**
+     * Start spelling practice on a set of words
+     * @param {Array} words
+     * @returns {boolean} - false if no word has a meaning to spell from
+     */
+    start(words) {
+        this.words = words.filter(word => word.english && (word.banglaMeanings?.length || word.meaning));
+        this.currentIndex = 0;
+        this.score = 0;
+        this.missed = [];
+
+        if (this.words.length === 0) return false;
+
+        const { spellingQuestion, spellingResults, spellingTotal } = this.elements;
+        spellingQuestion && (spellingQuestion.style.display = 'block');
+        spellingResults && (spellingResults.style.display = 'none');
+        if (spellingTotal) spellingTotal.textContent = this.words.length;
+
+        this.showWord(0);
+        return true;
+    },
+
+    /**
+     * Show the clues for a word and clear the answer box
+     * @param {number} index
+     */
+    showWord(index) {
+        const {
+            spellingNumber, spellingScore, spellingBangla, spellingDefinition, spellingIpa,
+            spellingInput, spellingCheckBtn, spellingVerdict, spellingNextBtn
+        } = this.elements;
+        const word = this.words[index];
+
+        this.currentIndex = index;
+        this.checked = false;
+
+        if (spellingNumber) spellingNumber.textContent = index + 1;
+        if (spellingScore) spellingScore.textContent = this.score;
+        if (spellingBangla) {
+            spellingBangla.innerHTML = (word.banglaMeanings || []).map(m =>
+                `<span class="bangla-meaning-item">${Utils.escapeHtml(m)}</span>`
+            ).join('');
+        }
+        if (spellingDefinition) spellingDefinition.textContent = word.meaning || '';
+        if (spellingIpa) spellingIpa.textContent = word.ipa || '';
+
+        if (spellingInput) {
+            spellingInput.value = '';
+            spellingInput.disabled = false;
+            spellingInput.focus();
+        }
+        spellingCheckBtn && (spellingCheckBtn.style.display = 'inline-flex');
+        if (spellingVerdict) {
+            spellingVerdict.innerHTML = '';
+            spellingVerdict.className = 'spelling-verdict';
+        }
+        spellingNextBtn && (spellingNextBtn.style.display = 'none');
+    },
+
+    /**
+     * Check the typed answer, show the verdict and record the review
+     */
+    check() {
+        const { spellingInput, spellingCheckBtn, spellingVerdict, spellingScore, spellingNextBtn } = this.elements;
+        const word = this.words[this.currentIndex];
+        if (!word || this.checked || !spellingInput?.value.trim()) return;
+
+        const result = this.checkAnswer(spellingInput.value, word.english);
+        this.checked = true;
+
+        if (result.verdict === 'correct') {
+            this.score++;
+        } else {
+            this.missed.push(word);
+        }
+        this.recordResult(word, result.verdict);
+
+        spellingInput.disabled = true;
+        spellingCheckBtn && (spellingCheckBtn.style.display = 'none');
+        if (spellingScore) spellingScore.textContent = this.score;
+        if (spellingVerdict) {
+            spellingVerdict.innerHTML = this.renderVerdict(result);
+            spellingVerdict.classList.add(result.verdict);
+        }
+        if (spellingNextBtn) {
+            spellingNextBtn.textContent = this.currentIndex < this.words.length - 1 ? 'Next' : 'See Score';
+            spellingNextBtn.style.display = 'inline-flex';
+            spellingNextBtn.focus();
+        }
+    },
+
+    /**
+     * Describe a checked answer
+     * @param {Object} result - From checkAnswer
+     * @returns {string} - HTML
+     */
+    renderVerdict(result) {
+        if (result.verdict === 'correct') {
+            return '<p class="spelling-verdict-title">Correct!</p>';
+        }
+
+        if (result.verdict === 'almost') {
+            const diff = this.renderDiff(result);
+            return `
+                <p class="spelling-verdict-title">Almost!</p>
+                <p class="spelling-line"><span>You typed</span> <span class="spelling-word">${diff.typed}</span></p>
+                <p class="spelling-line"><span>Answer</span> <span class="spelling-word">${diff.expected}</span></p>
+            `;
+        }
+
+        return `
+            <p class="spelling-verdict-title">Not quite</p>
+            <p class="spelling-line"><span>Answer</span> <span class="spelling-word">${Utils.escapeHtml(result.expected)}</span></p>
+        `;
+    },
+
+    /**
+     * Move to the next word, or the score once all are spelled
+     */
+    next() {
+        if (!this.checked) return;
+
+        if (this.currentIndex < this.words.length - 1) {
+            this.showWord(this.currentIndex + 1);
+        } else {
+            this.showResults();
+        }
+    },
+
+    /**
+     * Show the final score and the words to practise again
+     */
+    showResults() {
+        const {
+            spellingQuestion, spellingResults, spellingResultsScore, spellingResultsText, spellingMissedList
+        } = this.elements;
+
+        spellingQuestion && (spellingQuestion.style.display = 'none');
+        spellingResults && (spellingResults.style.display = 'block');
+
+        if (spellingResultsScore) spellingResultsScore.textContent = `${this.score}/${this.words.length}`;
+        if (spellingResultsText) {
+            spellingResultsText.textContent = this.missed.length === 0
+                ? 'Every word spelled right. Well done!'
+                : `${this.missed.length} ${this.missed.length === 1 ? 'word' : 'words'} to practise again:`;
+        }
+        if (spellingMissedList) {
+            spellingMissedList.innerHTML = Utils.renderMissedList(this.missed);
+        }
+    },
+
+    /**
+     * Record a spelling attempt as a review of the word
+     * @param {Object} word
+     * @param {string} verdict - 'correct', 'almost' or 'wrong'
+     */
+    recordResult(word, verdict) {
+        FlashcardManager.recordReview(word, this.VERDICT_GRADES[verdict]);
+    },
+};
+
+// Export for use in other modules
+window.SpellingManager = SpellingManager;
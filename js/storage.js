@@ -8,13 +8,307 @@
 const StorageManager = {
   // Storage Keys
   KEYS: {
-    API_KEY: 'vocab_api_key',
+    BACKEND: 'vocab_backend',
+    API_KEY: 'vocab_api_key', // Master key, used by the admin panel only
+    CREDENTIAL_VAULT: 'vocab_credential_vault', // Master key encrypted with a passphrase
+    ACCESS_KEY: 'vocab_access_key', // Read-only key used by the learner app
     BIN_ID: 'vocab_bin_id',
+    API_ENDPOINT: 'vocab_api_endpoint',
     ADMIN_PASSWORD: 'vocab_admin_password',
+    RECOVERY_CODES: 'vocab_admin_recovery_codes', // Hashes of unused recovery codes
+    ADMIN_SESSION: 'vocab_admin_session', // In sessionStorage: { startedAt, lastActiveAt }
+    ADMIN_SESSION_SETTINGS: 'vocab_admin_session_settings',
+    LOGIN_ATTEMPTS: 'vocab_admin_login_attempts', // Failed logins and the current lockout
     STREAK_DATA: 'vocab_streak_data',
     LEARNED_WORDS: 'vocab_learned_words',
+    LEARNED_LOG: 'vocab_learned_log', // When each word was last marked or unmarked
+    PROGRESS_SYNC: 'vocab_progress_sync', // Progress sync settings
+    THEME: 'vocab_theme',
+    SESSION_OPTIONS: 'vocab_session_options', // Shuffle, filters and card limit for study sessions
+    DAY_START_HOUR: 'vocab_day_start_hour', // Hour after midnight when a new study day begins
+    PROFILES: 'vocab_profiles', // Learner profiles on this device
+    ACTIVE_PROFILE: 'vocab_active_profile',
     LAST_VISIT: 'vocab_last_visit',
-    LOCAL_WORDS: 'vocab_local_words', // Fallback when offline
+    LOCAL_WORDS: 'vocab_local_words', // Fallback when offline (moved to IndexedDB)
+    LOCAL_BIN: 'vocab_local_bin', // Record for the local-only backend
+    LOCAL_HISTORY: 'vocab_local_history', // Previous records of the local-only backend
+    SYNC_QUEUE: 'vocab_sync_queue', // Pending writes not yet in the cloud
+    SYNC_CONFLICTS: 'vocab_sync_conflicts', // Writes that clashed with someone else's
+    LOCAL_SCHEMA: 'vocab_local_schema', // Schema version of the local words cache
+    MIGRATION_BACKUPS: 'vocab_migration_backups', // Records saved before a schema upgrade
+  },
+
+  // Keys stored separately for each learner profile. Everything else (cloud
+  // settings, the word cache, admin data) is shared by the whole device.
+  PROFILE_KEYS: [
+    'STREAK_DATA', 'LEARNED_WORDS', 'LEARNED_LOG', 'LAST_VISIT', 'PROGRESS_SYNC', 'THEME', 'SESSION_OPTIONS',
+  ],
+
+  // Profile that single-user data is moved into
+  DEFAULT_PROFILE_ID: 'default',
+
+  /**
+   * Get the localStorage key for an entry, namespaced to a profile if needed
+   * @param {string} name - Name of a KEYS entry
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {string}
+   */
+  key(name, profileId = this.getActiveProfileId()) {
+    const key = this.KEYS[name];
+    return this.PROFILE_KEYS.includes(name) ? `${key}:${profileId}` : key;
+  },
+
+  // --------------------------------------------------------------------------
+  // DEVICE DATABASE
+  // --------------------------------------------------------------------------
+
+  // Words, progress and the sync queue live in IndexedDB. init() loads them
+  // into this copy so reads stay synchronous; writes update it straight away
+  // and return a promise that settles once the database has the change.
+  data: {
+    words: [],
+    progress: {}, // { [profileId]: { [wordId]: { learned, at, ...schedule } } }
+    syncQueue: [],
+    records: {}, // { [key]: value }, keyed by the localStorage key each value replaced
+  },
+
+  // False when IndexedDB can't be opened; data then stays in localStorage
+  useDatabase: false,
+
+  // Entries kept whole in the database's `records` store
+  RECORD_KEYS: ['STREAK_DATA', 'LOCAL_BIN', 'LOCAL_HISTORY', 'SYNC_CONFLICTS', 'MIGRATION_BACKUPS'],
+
+  /**
+   * Open the device database, move over data left in localStorage, and load it
+   * @returns {Promise<void>}
+   */
+  async init() {
+    // Profiles decide which keys hold each learner's progress
+    this.initProfiles();
+
+    try {
+      await LocalDatabase.open();
+      await this.migrateToDatabase();
+      this.data = await this.readDatabase();
+      this.useDatabase = true;
+    } catch (error) {
+      console.error('IndexedDB unavailable, keeping data in localStorage:', error);
+      this.useDatabase = false;
+      this.data = this.readLegacyData();
+    }
+  },
+
+  /**
+   * Load everything from the device database
+   * @returns {Promise<Object>} - Same shape as `data`
+   */
+  async readDatabase() {
+    const [words, progress, syncQueue, records] = await Promise.all([
+      LocalDatabase.getAll('words'),
+      LocalDatabase.getAll('progress'),
+      LocalDatabase.getAll('syncQueue'),
+      LocalDatabase.getAll('records'),
+    ]);
+
+    const byProfile = {};
+    progress.forEach(({ profileId, wordId, ...entry }) => {
+      byProfile[profileId] = byProfile[profileId] || {};
+      byProfile[profileId][wordId] = entry;
+    });
+
+    return {
+      words: words,
+      progress: byProfile,
+      syncQueue: syncQueue.sort((a, b) => a.position - b.position).map(({ position, ...operation }) => operation),
+      records: Object.fromEntries(records.map(record => [record.key, record.value])),
+    };
+  },
+
+  /**
+   * Read data stored in localStorage by older versions of the app
+   * @returns {Object} - Same shape as `data`
+   */
+  readLegacyData() {
+    const read = (key, fallback) => {
+      try {
+        const data = localStorage.getItem(key);
+        return data ? JSON.parse(data) : fallback;
+      } catch (error) {
+        console.error(`Failed to parse ${key}:`, error);
+        return fallback;
+      }
+    };
+
+    const progress = {};
+    this.getProfiles().forEach(({ id }) => {
+      // Words learned before the log existed get an entry with `at: null`
+      const log = read(`${this.KEYS.LEARNED_LOG}:${id}`, {});
+      read(`${this.KEYS.LEARNED_WORDS}:${id}`, []).forEach(wordId => {
+        if (!log[wordId]) log[wordId] = { learned: true, at: null };
+      });
+      progress[id] = log;
+    });
+
+    const records = {};
+    this.getLegacyRecordKeys().forEach(key => {
+      const value = read(key, null);
+      if (value !== null) records[key] = value;
+    });
+
+    return {
+      words: read(this.KEYS.LOCAL_WORDS, []),
+      progress: progress,
+      syncQueue: read(this.KEYS.SYNC_QUEUE, []),
+      records: records,
+    };
+  },
+
+  /**
+   * List the localStorage keys that `records` entries replace
+   * @returns {Array<string>}
+   */
+  getLegacyRecordKeys() {
+    return this.RECORD_KEYS.flatMap(name => (this.PROFILE_KEYS.includes(name)
+      ? this.getProfiles().map(profile => `${this.KEYS[name]}:${profile.id}`)
+      : [this.KEYS[name]]));
+  },
+
+  /**
+   * Move words, progress and the sync queue out of localStorage. Everything is
+   * written in one transaction and localStorage is only cleared once it lands.
+   * @returns {Promise<void>}
+   */
+  async migrateToDatabase() {
+    const progressKeys = this.getProfiles().flatMap(({ id }) => [
+      `${this.KEYS.LEARNED_LOG}:${id}`,
+      `${this.KEYS.LEARNED_WORDS}:${id}`,
+    ]);
+    const keys = [this.KEYS.LOCAL_WORDS, this.KEYS.SYNC_QUEUE, ...progressKeys, ...this.getLegacyRecordKeys()]
+      .filter(key => localStorage.getItem(key) !== null);
+    if (keys.length === 0) return;
+
+    const legacy = this.readLegacyData();
+    const has = (key) => keys.includes(key);
+
+    await LocalDatabase.write(['words', 'progress', 'syncQueue', 'records'], tx => {
+      if (has(this.KEYS.LOCAL_WORDS)) {
+        const store = tx.objectStore('words');
+        store.clear();
+        legacy.words.filter(word => word?.id).forEach(word => store.put(word));
+      }
+
+      Object.entries(legacy.progress).forEach(([profileId, log]) => {
+        if (!has(`${this.KEYS.LEARNED_LOG}:${profileId}`) && !has(`${this.KEYS.LEARNED_WORDS}:${profileId}`)) return;
+
+        const store = tx.objectStore('progress');
+        store.delete(this.getProgressRange(profileId));
+        Object.entries(log).forEach(([wordId, entry]) => store.put({ profileId, wordId, ...entry }));
+      });
+
+      if (has(this.KEYS.SYNC_QUEUE)) {
+        const store = tx.objectStore('syncQueue');
+        store.clear();
+        legacy.syncQueue.forEach((operation, position) => {
+          store.put({ ...operation, id: operation.id || this.generateId(), position });
+        });
+      }
+
+      Object.entries(legacy.records).forEach(([key, value]) => {
+        tx.objectStore('records').put({ key, value });
+      });
+    });
+
+    keys.forEach(key => localStorage.removeItem(key));
+  },
+
+  /**
+   * Key range covering one profile's rows in the progress store
+   * @param {string} profileId
+   * @returns {IDBKeyRange}
+   */
+  getProgressRange(profileId) {
+    // Arrays sort after strings, so [id, []] is above every [id, wordId]
+    return IDBKeyRange.bound([profileId], [profileId, []]);
+  },
+
+  /**
+   * Write a change to IndexedDB, or to localStorage when IndexedDB is unavailable
+   * @param {Function} write - Performs the IndexedDB write
+   * @param {string} legacyKey - localStorage key used instead
+   * @param {*} legacyValue - Value stored under that key; null removes it
+   * @returns {Promise<boolean>} - Success status
+   */
+  async persist(write, legacyKey, legacyValue) {
+    try {
+      if (this.useDatabase) {
+        await write();
+      } else if (legacyValue === null) {
+        localStorage.removeItem(legacyKey);
+      } else {
+        localStorage.setItem(legacyKey, JSON.stringify(legacyValue));
+      }
+      return true;
+    } catch (error) {
+      this.reportStorageError(error);
+      return false;
+    }
+  },
+
+  /**
+   * Tell the open screen that device storage refused a write
+   * @param {Error} error
+   */
+  reportStorageError(error) {
+    console.error('Failed to save to device storage:', error);
+
+    const quotaExceeded = error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+    window.dispatchEvent(new CustomEvent('storageerror', { detail: { error, quotaExceeded } }));
+  },
+
+  /**
+   * Get a copy of a `records` entry
+   * @param {string} key
+   * @param {*} fallback - Returned if there is no entry
+   * @returns {*}
+   */
+  getRecord(key, fallback) {
+    return key in this.data.records ? structuredClone(this.data.records[key]) : fallback;
+  },
+
+  /**
+   * Store a `records` entry
+   * @param {string} key
+   * @param {*} value
+   * @returns {Promise<boolean>} - Success status
+   */
+  saveRecord(key, value) {
+    this.data.records[key] = structuredClone(value);
+    return this.persist(() => LocalDatabase.put('records', { key, value }), key, value);
+  },
+
+  /**
+   * Remove a `records` entry
+   * @param {string} key
+   * @returns {Promise<boolean>} - Success status
+   */
+  deleteRecord(key) {
+    delete this.data.records[key];
+    return this.persist(() => LocalDatabase.delete('records', key), key, null);
+  },
+
+  /**
+   * Check that device storage accepts writes
+   * @returns {Promise<void>} - Rejects if it doesn't
+   */
+  async testStorage() {
+    const probe = 'vocab_storage_probe';
+    if (this.useDatabase) {
+      await LocalDatabase.put('records', { key: probe, value: 1 });
+      await LocalDatabase.delete('records', probe);
+    } else {
+      localStorage.setItem(probe, '1');
+      localStorage.removeItem(probe);
+    }
   },
 
   // --------------------------------------------------------------------------
@@ -23,13 +317,23 @@ const StorageManager = {
   
   /**
    * Save API credentials
-   * @param {string} apiKey - JSONBin API key
+   * @param {string} apiKey - JSONBin API key (or REST access token)
    * @param {string} binId - JSONBin Bin ID
+   * @param {string} backend - Storage backend ID ('jsonbin', 'local', 'rest')
+   * @param {string} endpoint - URL of a self-hosted REST endpoint
+   * @returns {Promise<boolean>}
    */
-  saveApiCredentials(apiKey, binId) {
+  async saveApiCredentials(apiKey, binId, backend = 'jsonbin', endpoint = '') {
     try {
-      localStorage.setItem(this.KEYS.API_KEY, apiKey);
-      localStorage.setItem(this.KEYS.BIN_ID, binId);
+      if (this.isVaultEnabled()) {
+        // The master key only ever goes into storage encrypted
+        if (!(await this.saveVaultSecrets({ apiKey: apiKey || '' }))) return false;
+      } else {
+        localStorage.setItem(this.KEYS.API_KEY, apiKey || '');
+      }
+      localStorage.setItem(this.KEYS.BACKEND, backend);
+      localStorage.setItem(this.KEYS.BIN_ID, binId || '');
+      localStorage.setItem(this.KEYS.API_ENDPOINT, endpoint || '');
       return true;
     } catch (error) {
       console.error('Failed to save API credentials:', error);
@@ -38,13 +342,40 @@ const StorageManager = {
   },
 
   /**
-   * Get API credentials
-   * @returns {Object} - { apiKey, binId }
+   * Save learner credentials without touching the admin master key
+   * @param {string} accessKey - JSONBin read-only Access Key (or REST read token)
+   * @param {string} binId - JSONBin Bin ID
+   * @param {string} backend - Storage backend ID ('jsonbin', 'local', 'rest')
+   * @param {string} endpoint - URL of a self-hosted REST endpoint
+   */
+  saveAccessCredentials(accessKey, binId, backend = 'jsonbin', endpoint = '') {
+    try {
+      localStorage.setItem(this.KEYS.BACKEND, backend);
+      localStorage.setItem(this.KEYS.ACCESS_KEY, accessKey || '');
+      localStorage.setItem(this.KEYS.BIN_ID, binId || '');
+      localStorage.setItem(this.KEYS.API_ENDPOINT, endpoint || '');
+      return true;
+    } catch (error) {
+      console.error('Failed to save access credentials:', error);
+      return false;
+    }
+  },
+
+  /**
+   * Get API credentials. While the vault is locked the master key is empty
+   * and `locked` is true.
+   * @returns {Object} - { backend, apiKey, accessKey, binId, endpoint, locked }
    */
   getApiCredentials() {
+    const vaultEnabled = this.isVaultEnabled();
+
     return {
-      apiKey: localStorage.getItem(this.KEYS.API_KEY) || '',
+      backend: localStorage.getItem(this.KEYS.BACKEND) || 'jsonbin',
+      apiKey: vaultEnabled ? (this.vaultSecrets?.apiKey || '') : (localStorage.getItem(this.KEYS.API_KEY) || ''),
+      accessKey: localStorage.getItem(this.KEYS.ACCESS_KEY) || '',
       binId: localStorage.getItem(this.KEYS.BIN_ID) || '',
+      endpoint: localStorage.getItem(this.KEYS.API_ENDPOINT) || '',
+      locked: vaultEnabled && !this.vaultSecrets,
     };
   },
 
@@ -58,225 +389,1282 @@ const StorageManager = {
   },
 
   // --------------------------------------------------------------------------
-  // ADMIN PASSWORD
+  // CREDENTIAL VAULT
   // --------------------------------------------------------------------------
-  
+
+  // Decrypted vault contents and the key that opened it. Both live in memory
+  // only, so the passphrase is needed again after a reload or logout.
+  vaultSecrets: null,
+  vaultKey: null,
+
   /**
-   * Set admin password
-   * @param {string} password
+   * Check if the master key is stored encrypted
+   * @returns {boolean}
    */
-  setAdminPassword(password) {
-    // Simple hash for basic protection (not secure for production)
-    const hash = btoa(password);
-    localStorage.setItem(this.KEYS.ADMIN_PASSWORD, hash);
+  isVaultEnabled() {
+    return !!localStorage.getItem(this.KEYS.CREDENTIAL_VAULT);
   },
 
   /**
-   * Verify admin password
-   * @param {string} password
+   * Check if the vault still needs its passphrase this session
    * @returns {boolean}
    */
-  verifyPassword(password) {
-    const stored = localStorage.getItem(this.KEYS.ADMIN_PASSWORD);
-    // Default password if not set
-    if (!stored) {
-      return password === 'admin123';
-    }
-    return stored === btoa(password);
+  isVaultLocked() {
+    return this.isVaultEnabled() && !this.vaultSecrets;
   },
 
   /**
-   * Check if admin is logged in (session based)
-   * @returns {boolean}
+   * Get the stored vault
+   * @returns {Object|null} - { algorithm, iterations, salt, iv, data }
    */
-  isAdminLoggedIn() {
-    return sessionStorage.getItem('admin_logged_in') === 'true';
+  getVault() {
+    try {
+      const data = localStorage.getItem(this.KEYS.CREDENTIAL_VAULT);
+      if (data) {
+        return JSON.parse(data);
+      }
+    } catch (error) {
+      console.error('Failed to parse credential vault:', error);
+    }
+    return null;
   },
 
   /**
-   * Set admin login status
-   * @param {boolean} status
+   * Derive an AES-GCM key from a passphrase
+   * @param {string} passphrase
+   * @param {Uint8Array} salt
+   * @param {number} iterations
+   * @returns {Promise<CryptoKey>}
    */
-  setAdminLoggedIn(status) {
-    if (status) {
-      sessionStorage.setItem('admin_logged_in', 'true');
-    } else {
-      sessionStorage.removeItem('admin_logged_in');
+  async deriveVaultKey(passphrase, salt, iterations) {
+    if (!window.crypto?.subtle) {
+      throw new Error('Encryption needs a secure (https) page');
     }
+
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
   },
 
-  // --------------------------------------------------------------------------
-  // STREAK TRACKING
-  // --------------------------------------------------------------------------
-  
   /**
-   * Get streak data
-   * @returns {Object} - { currentStreak, lastActiveDate }
+   * Encrypt the master key with a new passphrase and remove the plain copy
+   * @param {string} passphrase
+   * @returns {Promise<boolean>}
    */
-  getStreakData() {
+  async enableVault(passphrase) {
     try {
-      const data = localStorage.getItem(this.KEYS.STREAK_DATA);
-      if (data) {
-        return JSON.parse(data);
+      const secrets = { apiKey: this.getApiCredentials().apiKey };
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+
+      this.vaultKey = await this.deriveVaultKey(passphrase, salt, this.PASSWORD_ITERATIONS);
+      localStorage.setItem(this.KEYS.CREDENTIAL_VAULT, JSON.stringify({
+        algorithm: 'AES-GCM',
+        iterations: this.PASSWORD_ITERATIONS,
+        salt: this.bytesToBase64(salt),
+      }));
+
+      if (!(await this.saveVaultSecrets(secrets))) {
+        throw new Error('Could not write the vault');
       }
+      localStorage.removeItem(this.KEYS.API_KEY);
+      return true;
     } catch (error) {
-      console.error('Failed to parse streak data:', error);
+      console.error('Failed to enable credential vault:', error);
+      localStorage.removeItem(this.KEYS.CREDENTIAL_VAULT);
+      this.lockVault();
+      return false;
     }
-    return { currentStreak: 0, lastActiveDate: null };
   },
 
   /**
-   * Update streak based on activity
-   * @returns {number} - Current streak count
+   * Decrypt the vault into memory for the rest of the session
+   * @param {string} passphrase
+   * @returns {Promise<boolean>} - false if the passphrase is wrong
    */
-  updateStreak() {
-    const today = this.getDateString(new Date());
-    const streakData = this.getStreakData();
-    const lastActive = streakData.lastActiveDate;
+  async unlockVault(passphrase) {
+    const vault = this.getVault();
+    if (!vault?.data || !passphrase) return false;
 
-    if (lastActive === today) {
-      // Already active today, no change
-      return streakData.currentStreak;
-    }
+    try {
+      const key = await this.deriveVaultKey(passphrase, this.base64ToBytes(vault.salt), vault.iterations);
+      const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.base64ToBytes(vault.iv) },
+        key,
+        this.base64ToBytes(vault.data)
+      );
 
-    const yesterday = this.getDateString(new Date(Date.now() - 86400000));
-    
-    let newStreak;
-    if (lastActive === yesterday) {
-      // Consecutive day, increment streak
-      newStreak = streakData.currentStreak + 1;
-    } else if (!lastActive) {
-      // First time user
-      newStreak = 1;
-    } else {
-      // Streak broken, reset to 1
-      newStreak = 1;
+      this.vaultKey = key;
+      this.vaultSecrets = JSON.parse(new TextDecoder().decode(plain));
+      return true;
+    } catch (error) {
+      // AES-GCM rejects a wrong key when its authentication tag doesn't match
+      return false;
     }
+  },
 
-    const newData = {
-      currentStreak: newStreak,
-      lastActiveDate: today,
-    };
+  /**
+   * Forget the decrypted secrets
+   */
+  lockVault() {
+    this.vaultSecrets = null;
+    this.vaultKey = null;
+  },
+
+  /**
+   * Store the master key unencrypted again. The vault must be unlocked.
+   * @returns {boolean}
+   */
+  disableVault() {
+    if (this.isVaultLocked()) return false;
 
     try {
-      localStorage.setItem(this.KEYS.STREAK_DATA, JSON.stringify(newData));
+      localStorage.setItem(this.KEYS.API_KEY, this.vaultSecrets?.apiKey || '');
+      localStorage.removeItem(this.KEYS.CREDENTIAL_VAULT);
+      this.lockVault();
+      return true;
     } catch (error) {
-      console.error('Failed to save streak data:', error);
+      console.error('Failed to disable credential vault:', error);
+      return false;
     }
-
-    return newStreak;
   },
 
-  // --------------------------------------------------------------------------
-  // LEARNED WORDS TRACKING
-  // --------------------------------------------------------------------------
-  
   /**
-   * Get learned words set
-   * @returns {Set<string>} - Set of word IDs
+   * Encrypt new vault contents with the key that unlocked it
+   * @param {Object} secrets - { apiKey }
+   * @returns {Promise<boolean>} - false if the vault is locked
    */
-  getLearnedWords() {
-    try {
-      const data = localStorage.getItem(this.KEYS.LEARNED_WORDS);
-      if (data) {
-        return new Set(JSON.parse(data));
-      }
-    } catch (error) {
-      console.error('Failed to parse learned words:', error);
+  async saveVaultSecrets(secrets) {
+    const vault = this.getVault();
+    if (!vault || !this.vaultKey) {
+      console.error('Cannot save credentials: the vault is locked');
+      return false;
     }
-    return new Set();
+
+    // A fresh IV for every encryption; reusing one with the same key breaks AES-GCM
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: iv },
+      this.vaultKey,
+      new TextEncoder().encode(JSON.stringify(secrets))
+    );
+
+    localStorage.setItem(this.KEYS.CREDENTIAL_VAULT, JSON.stringify({
+      ...vault,
+      iv: this.bytesToBase64(iv),
+      data: this.bytesToBase64(new Uint8Array(data)),
+    }));
+    this.vaultSecrets = secrets;
+    return true;
   },
 
+  // --------------------------------------------------------------------------
+  // ADMIN PASSWORD
+  // --------------------------------------------------------------------------
+
+  // PBKDF2 work factor for the admin password
+  PASSWORD_ITERATIONS: 310000,
+
+  // Recovery codes are long and random, so they need far less stretching
+  RECOVERY_ITERATIONS: 1000,
+
+  // Number of recovery codes issued at a time
+  RECOVERY_CODE_COUNT: 8,
+
   /**
-   * Mark a word as learned
-   * @param {string} wordId
+   * Hash a secret with salted PBKDF2-SHA256
+   * @param {string} secret
+   * @param {Object} options - { salt (base64), iterations }
+   * @returns {Promise<Object>} - { algorithm, iterations, salt, hash }
    */
-  markWordAsLearned(wordId) {
-    const learned = this.getLearnedWords();
-    learned.add(wordId);
-    try {
-      localStorage.setItem(this.KEYS.LEARNED_WORDS, JSON.stringify([...learned]));
-    } catch (error) {
-      console.error('Failed to save learned word:', error);
+  async hashSecret(secret, { salt = null, iterations = this.PASSWORD_ITERATIONS } = {}) {
+    if (!window.crypto?.subtle) {
+      throw new Error('Password hashing needs a secure (https) page');
     }
+
+    const saltBytes = salt ? this.base64ToBytes(salt) : crypto.getRandomValues(new Uint8Array(16));
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations },
+      key,
+      256
+    );
+
+    return {
+      algorithm: 'PBKDF2-SHA256',
+      iterations: iterations,
+      salt: this.bytesToBase64(saltBytes),
+      hash: this.bytesToBase64(new Uint8Array(bits)),
+    };
   },
 
   /**
-   * Unmark a word as learned
-   * @param {string} wordId
+   * Check a secret against a stored hash record
+   * @param {string} secret
+   * @param {Object} record - { iterations, salt, hash }
+   * @returns {Promise<boolean>}
    */
-  unmarkWordAsLearned(wordId) {
-    const learned = this.getLearnedWords();
-    learned.delete(wordId);
-    try {
-      localStorage.setItem(this.KEYS.LEARNED_WORDS, JSON.stringify([...learned]));
-    } catch (error) {
-      console.error('Failed to save learned words:', error);
+  async verifySecret(secret, record) {
+    const { hash } = await this.hashSecret(secret, { salt: record.salt, iterations: record.iterations });
+
+    // Compare every character so timing does not reveal how much matched
+    let diff = hash.length ^ record.hash.length;
+    for (let i = 0; i < Math.min(hash.length, record.hash.length); i++) {
+      diff |= hash.charCodeAt(i) ^ record.hash.charCodeAt(i);
     }
+    return diff === 0;
   },
 
   /**
-   * Check if a word is learned
-   * @param {string} wordId
+   * Check if an admin password has been set
    * @returns {boolean}
    */
-  isWordLearned(wordId) {
-    return this.getLearnedWords().has(wordId);
+  hasAdminPassword() {
+    return !!localStorage.getItem(this.KEYS.ADMIN_PASSWORD);
   },
 
-  // --------------------------------------------------------------------------
-  // LOCAL WORDS CACHE (Offline Fallback)
-  // --------------------------------------------------------------------------
-  
   /**
-   * Save words locally
-   * @param {Array} words
+   * Set admin password
+   * @param {string} password
+   * @returns {Promise<void>}
    */
-  saveLocalWords(words) {
-    try {
-      localStorage.setItem(this.KEYS.LOCAL_WORDS, JSON.stringify(words));
-    } catch (error) {
-      console.error('Failed to save local words:', error);
-    }
+  async setAdminPassword(password) {
+    const record = await this.hashSecret(password);
+    localStorage.setItem(this.KEYS.ADMIN_PASSWORD, JSON.stringify(record));
   },
 
   /**
-   * Get locally cached words
-   * @returns {Array}
+   * Verify admin password
+   * @param {string} password
+   * @returns {Promise<boolean>}
    */
-  getLocalWords() {
-    try {
-      const data = localStorage.getItem(this.KEYS.LOCAL_WORDS);
-      if (data) {
-        return JSON.parse(data);
+  async verifyPassword(password) {
+    const stored = localStorage.getItem(this.KEYS.ADMIN_PASSWORD);
+    if (!stored || !password) return false;
+
+    if (!stored.startsWith('{')) {
+      // Older versions only base64-encoded the password: upgrade it to a
+      // real hash on the first successful login
+      let legacy = null;
+      try {
+        legacy = btoa(password);
+      } catch (error) {
+        // btoa rejects characters outside Latin-1, which never matched anyway
       }
+      if (stored !== legacy) return false;
+
+      await this.setAdminPassword(password);
+      return true;
+    }
+
+    try {
+      return await this.verifySecret(password, JSON.parse(stored));
     } catch (error) {
-      console.error('Failed to parse local words:', error);
+      console.error('Failed to verify password:', error);
+      return false;
     }
-    return [];
   },
 
   // --------------------------------------------------------------------------
-  // UTILITY METHODS
+  // RECOVERY CODES
   // --------------------------------------------------------------------------
-  
+
   /**
-   * Get date string in YYYY-MM-DD format
-   * @param {Date} date
-   * @returns {string}
+   * Issue a fresh set of recovery codes, replacing any old ones
+   * @returns {Promise<Array<string>>} - Plain codes, shown to the admin once
    */
-  getDateString(date) {
-    return date.toISOString().split('T')[0];
+  async generateRecoveryCodes() {
+    // No 0/O or 1/I so codes survive being written down
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const codes = Array.from({ length: this.RECOVERY_CODE_COUNT }, () => {
+      const chars = Array.from(crypto.getRandomValues(new Uint8Array(12)), byte => alphabet[byte % alphabet.length]);
+      return chars.join('').match(/.{4}/g).join('-');
+    });
+
+    const records = await Promise.all(
+      codes.map(code => this.hashSecret(this.normalizeRecoveryCode(code), { iterations: this.RECOVERY_ITERATIONS }))
+    );
+    localStorage.setItem(this.KEYS.RECOVERY_CODES, JSON.stringify(records));
+
+    return codes;
   },
 
   /**
-   * Clear all stored data
+   * Spend a recovery code
+   * @param {string} code
+   * @returns {Promise<boolean>} - true if the code was valid; it can't be used again
    */
-  clearAll() {
-    Object.values(this.KEYS).forEach(key => {
-      localStorage.removeItem(key);
-    });
+  async useRecoveryCode(code) {
+    const normalized = this.normalizeRecoveryCode(code);
+    if (!normalized) return false;
+
+    const records = this.getRecoveryCodeRecords();
+    for (let i = 0; i < records.length; i++) {
+      if (await this.verifySecret(normalized, records[i])) {
+        records.splice(i, 1);
+        localStorage.setItem(this.KEYS.RECOVERY_CODES, JSON.stringify(records));
+        return true;
+      }
+    }
+    return false;
+  },
+
+  /**
+   * Count unused recovery codes
+   * @returns {number}
+   */
+  getRecoveryCodeCount() {
+    return this.getRecoveryCodeRecords().length;
+  },
+
+  /**
+   * Get hashes of unused recovery codes
+   * @returns {Array}
+   */
+  getRecoveryCodeRecords() {
+    try {
+      const data = localStorage.getItem(this.KEYS.RECOVERY_CODES);
+      if (data) {
+        return JSON.parse(data);
+      }
+    } catch (error) {
+      console.error('Failed to parse recovery codes:', error);
+    }
+    return [];
+  },
+
+  /**
+   * Ignore case, spaces and dashes when comparing recovery codes
+   * @param {string} code
+   * @returns {string}
+   */
+  normalizeRecoveryCode(code) {
+    return (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  },
+
+  // --------------------------------------------------------------------------
+  // ADMIN SESSION
+  // --------------------------------------------------------------------------
+
+  // Longest a session lasts, however active the admin is
+  SESSION_MAX_AGE: 8 * 60 * 60 * 1000,
+
+  // Inactivity before the admin is logged out, unless changed in settings
+  DEFAULT_IDLE_MINUTES: 15,
+
+  /**
+   * Get the current admin session, ending it if it has expired
+   * @returns {Object|null} - { startedAt, lastActiveAt, expiresAt }
+   */
+  getAdminSession() {
+    let session = null;
+    try {
+      session = JSON.parse(sessionStorage.getItem(this.KEYS.ADMIN_SESSION));
+    } catch (error) {
+      console.error('Failed to parse admin session:', error);
+    }
+    if (!session?.startedAt) return null;
+
+    const expiresAt = this.getSessionExpiry(session);
+    if (Date.now() >= expiresAt) {
+      this.setAdminLoggedIn(false);
+      return null;
+    }
+    return { ...session, expiresAt: expiresAt };
+  },
+
+  /**
+   * Work out when a session ends: after the idle timeout or the maximum age,
+   * whichever comes first
+   * @param {Object} session - { startedAt, lastActiveAt }
+   * @returns {number} - Timestamp in ms
+   */
+  getSessionExpiry(session) {
+    const idleTimeout = this.getAdminSessionSettings().idleMinutes * 60 * 1000;
+    return Math.min(session.lastActiveAt + idleTimeout, session.startedAt + this.SESSION_MAX_AGE);
+  },
+
+  /**
+   * Check if admin is logged in (session based)
+   * @returns {boolean}
+   */
+  isAdminLoggedIn() {
+    return !!this.getAdminSession();
+  },
+
+  /**
+   * Set admin login status
+   * @param {boolean} status
+   */
+  setAdminLoggedIn(status) {
+    if (status) {
+      const now = Date.now();
+      sessionStorage.setItem(this.KEYS.ADMIN_SESSION, JSON.stringify({ startedAt: now, lastActiveAt: now }));
+    } else {
+      sessionStorage.removeItem(this.KEYS.ADMIN_SESSION);
+    }
+  },
+
+  /**
+   * Note admin activity, pushing back the idle timeout
+   */
+  touchAdminSession() {
+    const session = this.getAdminSession();
+    if (!session) return;
+
+    sessionStorage.setItem(this.KEYS.ADMIN_SESSION, JSON.stringify({
+      startedAt: session.startedAt,
+      lastActiveAt: Date.now(),
+    }));
+  },
+
+  /**
+   * Get admin session settings
+   * @returns {Object} - { idleMinutes }
+   */
+  getAdminSessionSettings() {
+    try {
+      const data = localStorage.getItem(this.KEYS.ADMIN_SESSION_SETTINGS);
+      if (data) {
+        return { idleMinutes: this.DEFAULT_IDLE_MINUTES, ...JSON.parse(data) };
+      }
+    } catch (error) {
+      console.error('Failed to parse admin session settings:', error);
+    }
+    return { idleMinutes: this.DEFAULT_IDLE_MINUTES };
+  },
+
+  /**
+   * Save admin session settings
+   * @param {Object} settings - { idleMinutes }
+   */
+  saveAdminSessionSettings(settings) {
+    try {
+      localStorage.setItem(this.KEYS.ADMIN_SESSION_SETTINGS, JSON.stringify(settings));
+    } catch (error) {
+      console.error('Failed to save admin session settings:', error);
+    }
+  },
+
+  // --------------------------------------------------------------------------
+  // LOGIN LOCKOUT
+  // --------------------------------------------------------------------------
+
+  // Failed attempts allowed before the first lockout
+  FREE_LOGIN_ATTEMPTS: 5,
+
+  // First lockout; each further failure doubles it, up to the maximum
+  LOCKOUT_BASE: 30 * 1000,
+  LOCKOUT_MAX: 60 * 60 * 1000,
+
+  /**
+   * Get failed login attempts. Kept in localStorage so a reload doesn't reset them.
+   * @returns {Object} - { failures, lockedUntil }
+   */
+  getLoginAttempts() {
+    try {
+      const data = localStorage.getItem(this.KEYS.LOGIN_ATTEMPTS);
+      if (data) {
+        return JSON.parse(data);
+      }
+    } catch (error) {
+      console.error('Failed to parse login attempts:', error);
+    }
+    return { failures: 0, lockedUntil: 0 };
+  },
+
+  /**
+   * Get how long logins stay blocked
+   * @returns {number} - Milliseconds left, or 0 if logins are allowed
+   */
+  getLoginLockout() {
+    return Math.max(0, this.getLoginAttempts().lockedUntil - Date.now());
+  },
+
+  /**
+   * Count a failed login and lock logins once there have been too many
+   * @returns {number} - Lockout in ms, or 0 if more attempts are allowed
+   */
+  recordFailedLogin() {
+    const failures = this.getLoginAttempts().failures + 1;
+    const extra = failures - this.FREE_LOGIN_ATTEMPTS;
+    const lockout = extra >= 0 ? Math.min(this.LOCKOUT_BASE * 2 ** extra, this.LOCKOUT_MAX) : 0;
+
+    localStorage.setItem(this.KEYS.LOGIN_ATTEMPTS, JSON.stringify({
+      failures: failures,
+      lockedUntil: lockout ? Date.now() + lockout : 0,
+    }));
+    return lockout;
+  },
+
+  /**
+   * Forget failed logins after a successful one
+   */
+  clearFailedLogins() {
+    localStorage.removeItem(this.KEYS.LOGIN_ATTEMPTS);
+  },
+
+  // --------------------------------------------------------------------------
+  // STREAK TRACKING
+  // --------------------------------------------------------------------------
+  
+  // One streak freeze is earned for every STREAK_FREEZE_EVERY days in a row, up
+  // to MAX_STREAK_FREEZES. Each freeze covers one missed day automatically.
+  STREAK_FREEZE_EVERY: 7,
+  MAX_STREAK_FREEZES: 2,
+
+  // Active and frozen days are kept for this many days, the streak calendar's reach
+  STREAK_HISTORY_DAYS: 365,
+
+  /**
+   * Get streak data
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {Object} - { currentStreak, lastActiveDate, longestStreak, activeDays, frozenDays, freezes }
+   */
+  getStreakData(profileId) {
+    return this.normalizeStreak(this.getRecord(this.key('STREAK_DATA', profileId), null));
+  },
+
+  /**
+   * Fill in the fields older versions didn't save. Keys always come out in
+   * the same order so two copies of a streak compare equal as JSON.
+   * @param {Object} streakData - Saved streak, possibly partial or null
+   * @returns {Object} - { currentStreak, lastActiveDate, longestStreak, activeDays, frozenDays, freezes }
+   */
+  normalizeStreak(streakData) {
+    const currentStreak = streakData?.currentStreak || 0;
+    const lastActiveDate = streakData?.lastActiveDate || null;
+
+    let activeDays = streakData?.activeDays;
+    if (!Array.isArray(activeDays)) {
+      // Before history was kept only the current run is known: rebuild it
+      activeDays = [];
+      for (let i = currentStreak - 1; lastActiveDate && i >= 0; i--) {
+        activeDays.push(DateUtils.addDays(lastActiveDate, -i));
+      }
+    }
+
+    return {
+      currentStreak,
+      lastActiveDate,
+      longestStreak: Math.max(streakData?.longestStreak || 0, currentStreak),
+      activeDays: this.trimStreakDays(activeDays, lastActiveDate),
+      frozenDays: this.trimStreakDays(streakData?.frozenDays || [], lastActiveDate),
+      freezes: streakData?.freezes || 0,
+    };
+  },
+
+  /**
+   * Sort and de-duplicate streak days, dropping ones older than the history kept
+   * @param {Array<string>} days - YYYY-MM-DD
+   * @param {string|null} lastActiveDate - The history is counted back from here
+   * @returns {Array<string>}
+   */
+  trimStreakDays(days, lastActiveDate) {
+    const oldest = lastActiveDate ? DateUtils.addDays(lastActiveDate, 1 - this.STREAK_HISTORY_DAYS) : '';
+    return [...new Set(days)].filter(day => day >= oldest).sort();
+  },
+
+  /**
+   * Update streak based on activity. Dispatches `streakfreeze` on window when a
+   * freeze is used or earned.
+   * @returns {number} - Current streak count
+   */
+  updateStreak() {
+    const today = DateUtils.today();
+    const streakData = this.getStreakData();
+    const lastActive = streakData.lastActiveDate;
+
+    // Days since the last active day. Negative when it was saved under a later
+    // day, e.g. by an older version that used UTC dates: treat that as today.
+    const gap = lastActive ? DateUtils.daysBetween(lastActive, today) : null;
+
+    if (gap !== null && gap <= 0) {
+      // Already active today, no change
+      return streakData.currentStreak;
+    }
+
+    const frozenDays = [...streakData.frozenDays];
+    let freezes = streakData.freezes;
+    let used = 0;
+    let newStreak;
+    if (gap === 1) {
+      // Consecutive day, increment streak
+      newStreak = streakData.currentStreak + 1;
+    } else if (!lastActive) {
+      // First time user
+      newStreak = 1;
+    } else if (gap - 1 <= freezes) {
+      // Missed days, but there are enough freezes to cover all of them
+      used = gap - 1;
+      for (let i = 1; i <= used; i++) {
+        frozenDays.push(DateUtils.addDays(lastActive, i));
+      }
+      freezes -= used;
+      newStreak = streakData.currentStreak + 1;
+    } else {
+      // Streak broken, reset to 1
+      newStreak = 1;
+    }
+
+    const earned = newStreak % this.STREAK_FREEZE_EVERY === 0 && freezes < this.MAX_STREAK_FREEZES;
+    if (earned) freezes += 1;
+
+    this.saveStreakData({
+      currentStreak: newStreak,
+      lastActiveDate: today,
+      longestStreak: Math.max(streakData.longestStreak, newStreak),
+      activeDays: [...streakData.activeDays, today],
+      frozenDays: frozenDays,
+      freezes: freezes,
+    });
+
+    if (used || earned) {
+      window.dispatchEvent(new CustomEvent('streakfreeze', { detail: { used, earned, freezes } }));
+    }
+
+    return newStreak;
+  },
+
+  /**
+   * Save streak data
+   * @param {Object} streakData - { currentStreak, lastActiveDate, longestStreak, activeDays, frozenDays, freezes }
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {Promise<boolean>}
+   */
+  saveStreakData(streakData, profileId) {
+    return this.saveRecord(this.key('STREAK_DATA', profileId), this.normalizeStreak(streakData));
+  },
+
+  // --------------------------------------------------------------------------
+  // LEARNED WORDS TRACKING
+  // --------------------------------------------------------------------------
+
+  // Bangla → English reviews are logged under the word ID plus this suffix
+  REVERSE_SUFFIX: ':bn-en',
+
+  /**
+   * Get the key a word's progress is logged under for a card direction
+   * @param {string} wordId
+   * @param {string} direction - 'en-bn' or 'bn-en'
+   * @returns {string}
+   */
+  getProgressKey(wordId, direction = 'en-bn') {
+    return direction === 'bn-en' ? `${wordId}${this.REVERSE_SUFFIX}` : wordId;
+  },
+
+  /**
+   * Check if a progress key belongs to a Bangla → English card
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isReverseKey(key) {
+    return key.endsWith(this.REVERSE_SUFFIX);
+  },
+
+  /**
+   * Get a profile's learned log, as held in memory
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {Object} - { [wordId]: { learned, at, ease, interval, repetitions, lapses, due } }
+   */
+  getProgress(profileId = this.getActiveProfileId()) {
+    this.data.progress[profileId] = this.data.progress[profileId] || {};
+    return this.data.progress[profileId];
+  },
+
+  /**
+   * Get learned words set (English → Bangla)
+   * @returns {Set<string>} - Set of word IDs
+   */
+  getLearnedWords() {
+    const progress = this.getProgress();
+    return new Set(Object.keys(progress).filter(key => progress[key].learned && !this.isReverseKey(key)));
+  },
+
+  /**
+   * Save a word's new review schedule, timestamped for progress sync.
+   * A word counts as learned while its latest reviews have passed.
+   * @param {string} wordId
+   * @param {Object} schedule - { ease, interval, repetitions, lapses, due } from Scheduler.review
+   * @param {string} direction - 'en-bn' or 'bn-en'
+   * @returns {Promise<boolean>}
+   */
+  saveReview(wordId, schedule, direction = 'en-bn') {
+    const profileId = this.getActiveProfileId();
+    const progress = this.getProgress();
+    const key = this.getProgressKey(wordId, direction);
+    const entry = { learned: schedule.repetitions > 0, at: new Date().toISOString(), ...schedule };
+    progress[key] = entry;
+
+    return this.persist(
+      () => LocalDatabase.put('progress', { profileId, wordId: key, ...entry }),
+      this.key('LEARNED_LOG'),
+      progress
+    );
+  },
+
+  /**
+   * Get one word's progress entry
+   * @param {string} wordId
+   * @param {string} direction - 'en-bn' or 'bn-en'
+   * @returns {Object|undefined} - { learned, at, ...schedule }, undefined if never reviewed
+   */
+  getWordProgress(wordId, direction = 'en-bn') {
+    return this.getProgress()[this.getProgressKey(wordId, direction)];
+  },
+
+  /**
+   * Check if a word is learned
+   * @param {string} wordId
+   * @returns {boolean}
+   */
+  isWordLearned(wordId) {
+    return !!this.getProgress()[wordId]?.learned;
+  },
+
+  /**
+   * Get when each word was last reviewed, and its schedule
+   * Words learned before the log existed have `at: null` and no schedule.
+   * Bangla → English reviews are keyed by getProgressKey.
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {Object} - { [wordId]: { learned, at, ...schedule } }
+   */
+  getLearnedLog(profileId) {
+    return { ...this.getProgress(profileId) };
+  },
+
+  /**
+   * Count the words the active profile last reviewed, and knew, on each study day
+   * Only English → Bangla reviews count, so a word isn't counted twice.
+   * @returns {Object} - { [YYYY-MM-DD]: count }
+   */
+  getLearnedCountsByDay() {
+    const counts = {};
+    Object.entries(this.getProgress()).forEach(([key, entry]) => {
+      // Undated entries come from before the log existed
+      if (!entry.learned || !entry.at || this.isReverseKey(key)) return;
+      const day = DateUtils.getStudyDay(new Date(entry.at));
+      counts[day] = (counts[day] || 0) + 1;
+    });
+    return counts;
+  },
+
+  /**
+   * Replace learned words from a merged log
+   * @param {Object} log - { [wordId]: { learned, at, ...schedule } }
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {Promise<boolean>}
+   */
+  saveLearnedLog(log, profileId = this.getActiveProfileId()) {
+    this.data.progress[profileId] = { ...log };
+
+    const rows = Object.entries(log).map(([wordId, entry]) => ({ profileId, wordId, ...entry }));
+    return this.persist(
+      () => LocalDatabase.replace('progress', rows, this.getProgressRange(profileId)),
+      this.key('LEARNED_LOG', profileId),
+      log
+    );
+  },
+
+  // --------------------------------------------------------------------------
+  // PROGRESS SYNC SETTINGS
+  // --------------------------------------------------------------------------
+
+  /**
+   * Get progress sync settings
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {Object} - { enabled, learnerId, binId, key, endpoint }
+   */
+  getProgressSyncSettings(profileId) {
+    const defaults = { enabled: false, learnerId: '', binId: '', key: '', endpoint: '' };
+    try {
+      const data = localStorage.getItem(this.key('PROGRESS_SYNC', profileId));
+      if (data) {
+        return { ...defaults, ...JSON.parse(data) };
+      }
+    } catch (error) {
+      console.error('Failed to parse progress sync settings:', error);
+    }
+    return defaults;
+  },
+
+  /**
+   * Save progress sync settings
+   * @param {Object} settings - { enabled, learnerId, binId, key, endpoint }
+   * @param {string} profileId - Defaults to the active profile
+   */
+  saveProgressSyncSettings(settings, profileId) {
+    try {
+      localStorage.setItem(this.key('PROGRESS_SYNC', profileId), JSON.stringify(settings));
+    } catch (error) {
+      console.error('Failed to save progress sync settings:', error);
+    }
+  },
+
+  // --------------------------------------------------------------------------
+  // LOCAL WORDS CACHE (Offline Fallback)
+  // --------------------------------------------------------------------------
+  
+  /**
+   * Save words locally
+   * @param {Array} words
+   * @returns {Promise<boolean>}
+   */
+  saveLocalWords(words) {
+    // Only words that were added, changed or removed are written
+    const previous = new Map(this.data.words.filter(word => word?.id).map(word => [word.id, word]));
+    const saved = words.filter(word => word?.id);
+    const savedIds = new Set(saved.map(word => word.id));
+    const changed = saved.filter(word => JSON.stringify(word) !== JSON.stringify(previous.get(word.id)));
+    const removedIds = [...previous.keys()].filter(id => !savedIds.has(id));
+
+    this.data.words = [...words];
+    return this.persist(
+      () => LocalDatabase.update('words', changed, removedIds),
+      this.KEYS.LOCAL_WORDS,
+      words
+    );
+  },
+
+  /**
+   * Get locally cached words
+   * @returns {Array}
+   */
+  getLocalWords() {
+    return [...this.data.words];
+  },
+
+  /**
+   * Get locally cached words for one study day, in word-number order
+   * @param {string} dateString - YYYY-MM-DD format
+   * @returns {Promise<Array>}
+   */
+  async getLocalWordsByDate(dateString) {
+    let words = null;
+    if (this.useDatabase) {
+      try {
+        words = await LocalDatabase.getAllByIndex('words', 'date', dateString);
+      } catch (error) {
+        console.error('Failed to read words by date:', error);
+      }
+    }
+
+    words = words || this.data.words.filter(word => word.date === dateString);
+    return words.sort((a, b) => (a.wordNumber || 0) - (b.wordNumber || 0));
+  },
+
+  /**
+   * Save the record used by the local-only backend
+   * @param {Object} record - { words, meta }
+   * @returns {Promise<boolean>}
+   */
+  saveLocalRecord(record) {
+    return this.saveRecord(this.KEYS.LOCAL_BIN, record);
+  },
+
+  /**
+   * Get the record used by the local-only backend
+   * @returns {Object|null}
+   */
+  getLocalRecord() {
+    return this.getRecord(this.KEYS.LOCAL_BIN, null);
+  },
+
+  /**
+   * Save previous records of the local-only backend
+   * @param {Array} history - [{ version, record }], newest first
+   * @returns {Promise<boolean>}
+   */
+  saveLocalHistory(history) {
+    return this.saveRecord(this.KEYS.LOCAL_HISTORY, history);
+  },
+
+  /**
+   * Get previous records of the local-only backend
+   * @returns {Array}
+   */
+  getLocalHistory() {
+    return this.getRecord(this.KEYS.LOCAL_HISTORY, []);
+  },
+
+  // --------------------------------------------------------------------------
+  // SYNC QUEUE (Offline Outbox)
+  // --------------------------------------------------------------------------
+
+  /**
+   * Get pending write operations in the order they were made
+   * @returns {Array}
+   */
+  getSyncQueue() {
+    return [...this.data.syncQueue];
+  },
+
+  /**
+   * Save pending write operations
+   * @param {Array} queue
+   * @returns {Promise<boolean>}
+   */
+  saveSyncQueue(queue) {
+    this.data.syncQueue = [...queue];
+    return this.persist(
+      () => LocalDatabase.replace('syncQueue', queue.map((operation, position) => ({ ...operation, position }))),
+      this.KEYS.SYNC_QUEUE,
+      queue
+    );
+  },
+
+  /**
+   * Get writes that could not be merged automatically
+   * @returns {Array}
+   */
+  getSyncConflicts() {
+    return this.getRecord(this.KEYS.SYNC_CONFLICTS, []);
+  },
+
+  /**
+   * Save writes that need manual resolution
+   * @param {Array} conflicts
+   * @returns {Promise<boolean>}
+   */
+  saveSyncConflicts(conflicts) {
+    return this.saveRecord(this.KEYS.SYNC_CONFLICTS, conflicts);
+  },
+
+  // --------------------------------------------------------------------------
+  // SCHEMA MIGRATIONS
+  // --------------------------------------------------------------------------
+
+  /**
+   * Get the schema version of the local words cache
+   * @returns {number}
+   */
+  getLocalSchemaVersion() {
+    return parseInt(localStorage.getItem(this.KEYS.LOCAL_SCHEMA), 10) || 0;
+  },
+
+  /**
+   * Record the schema version of the local words cache
+   * @param {number} version
+   */
+  setLocalSchemaVersion(version) {
+    localStorage.setItem(this.KEYS.LOCAL_SCHEMA, String(version));
+  },
+
+  /**
+   * Get records saved before they were upgraded, newest first
+   * @returns {Array}
+   */
+  getMigrationBackups() {
+    return this.getRecord(this.KEYS.MIGRATION_BACKUPS, []);
+  },
+
+  /**
+   * Save pre-migration backups
+   * @param {Array} backups
+   * @returns {Promise<boolean>} - Success status
+   */
+  saveMigrationBackups(backups) {
+    return this.saveRecord(this.KEYS.MIGRATION_BACKUPS, backups);
+  },
+
+  // --------------------------------------------------------------------------
+  // THEME
+  // --------------------------------------------------------------------------
+
+  /**
+   * Get the saved theme of a profile
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {string|null} - 'dark', 'light' or null to follow the system
+   */
+  getTheme(profileId) {
+    return localStorage.getItem(this.key('THEME', profileId));
+  },
+
+  /**
+   * Save the theme of a profile
+   * @param {string|null} theme - 'dark', 'light' or null to follow the system
+   * @param {string} profileId - Defaults to the active profile
+   */
+  saveTheme(theme, profileId) {
+    if (theme) {
+      localStorage.setItem(this.key('THEME', profileId), theme);
+    } else {
+      localStorage.removeItem(this.key('THEME', profileId));
+    }
+  },
+
+  // --------------------------------------------------------------------------
+  // SESSION OPTIONS
+  // --------------------------------------------------------------------------
+
+  /**
+   * Get a profile's study session options
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {Object} - { shuffle, unlearnedOnly, difficultOnly, limit, repeatMissed }, limit 0 means no limit
+   */
+  getSessionOptions(profileId) {
+    try {
+      const data = localStorage.getItem(this.key('SESSION_OPTIONS', profileId));
+      return this.normalizeSessionOptions(data ? JSON.parse(data) : null);
+    } catch (error) {
+      console.error('Failed to parse session options:', error);
+      return this.normalizeSessionOptions(null);
+    }
+  },
+
+  /**
+   * Check if a profile has chosen session options
+   * @param {string} profileId - Defaults to the active profile
+   * @returns {boolean}
+   */
+  hasSessionOptions(profileId) {
+    return localStorage.getItem(this.key('SESSION_OPTIONS', profileId)) !== null;
+  },
+
+  /**
+   * Fill in missing or invalid session options with defaults
+   * @param {Object|null} options
+   * @returns {Object} - { shuffle, unlearnedOnly, difficultOnly, limit, repeatMissed }
+   */
+  normalizeSessionOptions(options) {
+    const data = options && typeof options === 'object' ? options : {};
+    const limit = parseInt(data.limit, 10);
+
+    return {
+      shuffle: !!data.shuffle,
+      unlearnedOnly: !!data.unlearnedOnly,
+      difficultOnly: !!data.difficultOnly,
+      limit: limit > 0 ? limit : 0,
+      repeatMissed: !!data.repeatMissed,
+    };
+  },
+
+  /**
+   * Save a profile's study session options
+   * @param {Object} options - { shuffle, unlearnedOnly, difficultOnly, limit, repeatMissed }
+   * @param {string} profileId - Defaults to the active profile
+   */
+  saveSessionOptions(options, profileId) {
+    try {
+      localStorage.setItem(this.key('SESSION_OPTIONS', profileId), JSON.stringify(this.normalizeSessionOptions(options)));
+    } catch (error) {
+      console.error('Failed to save session options:', error);
+    }
+  },
+
+  // --------------------------------------------------------------------------
+  // STUDY DAY
+  // --------------------------------------------------------------------------
+
+  // Latest hour a study day may start at
+  MAX_DAY_START_HOUR: 6,
+
+  /**
+   * Get the hour after midnight when a new study day begins. Shared by every
+   * profile on the device so words, streaks and the daily limit agree.
+   * @returns {number} - 0 (midnight) to MAX_DAY_START_HOUR
+   */
+  getDayStartHour() {
+    const hour = parseInt(localStorage.getItem(this.KEYS.DAY_START_HOUR), 10);
+    return hour >= 0 && hour <= this.MAX_DAY_START_HOUR ? hour : 0;
+  },
+
+  /**
+   * Save the hour a new study day begins
+   * @param {number} hour
+   */
+  saveDayStartHour(hour) {
+    const value = Math.min(Math.max(parseInt(hour, 10) || 0, 0), this.MAX_DAY_START_HOUR);
+    localStorage.setItem(this.KEYS.DAY_START_HOUR, String(value));
+  },
+
+  // --------------------------------------------------------------------------
+  // LEARNER PROFILES
+  // --------------------------------------------------------------------------
+
+  /**
+   * Create the default profile on first run, moving single-user data into it
+   */
+  initProfiles() {
+    if (this.getProfiles().length > 0) return;
+
+    const profile = {
+      id: this.DEFAULT_PROFILE_ID,
+      name: 'Learner',
+      createdAt: new Date().toISOString(),
+    };
+
+    this.PROFILE_KEYS.forEach(name => {
+      const key = this.KEYS[name];
+      const value = localStorage.getItem(key);
+      if (value !== null) {
+        localStorage.setItem(`${key}:${profile.id}`, value);
+        localStorage.removeItem(key);
+      }
+    });
+
+    this.saveProfiles([profile]);
+    localStorage.setItem(this.KEYS.ACTIVE_PROFILE, profile.id);
+  },
+
+  /**
+   * Get all learner profiles
+   * @returns {Array} - [{ id, name, createdAt }]
+   */
+  getProfiles() {
+    try {
+      const data = localStorage.getItem(this.KEYS.PROFILES);
+      if (data) {
+        return JSON.parse(data);
+      }
+    } catch (error) {
+      console.error('Failed to parse profiles:', error);
+    }
+    return [];
+  },
+
+  /**
+   * Save learner profiles
+   * @param {Array} profiles
+   */
+  saveProfiles(profiles) {
+    try {
+      localStorage.setItem(this.KEYS.PROFILES, JSON.stringify(profiles));
+    } catch (error) {
+      console.error('Failed to save profiles:', error);
+    }
+  },
+
+  /**
+   * Get the ID of the profile currently studying
+   * @returns {string}
+   */
+  getActiveProfileId() {
+    return localStorage.getItem(this.KEYS.ACTIVE_PROFILE) || this.DEFAULT_PROFILE_ID;
+  },
+
+  /**
+   * Get the profile currently studying
+   * @returns {Object|null}
+   */
+  getActiveProfile() {
+    const profiles = this.getProfiles();
+    return profiles.find(p => p.id === this.getActiveProfileId()) || profiles[0] || null;
+  },
+
+  /**
+   * Switch to another profile
+   * @param {string} profileId
+   * @returns {boolean} - false if the profile does not exist
+   */
+  setActiveProfile(profileId) {
+    if (!this.getProfiles().some(p => p.id === profileId)) return false;
+
+    localStorage.setItem(this.KEYS.ACTIVE_PROFILE, profileId);
+    return true;
+  },
+
+  /**
+   * Add a learner profile
+   * @param {string} name
+   * @returns {Object} - New profile
+   */
+  createProfile(name) {
+    const profile = {
+      id: this.generateId(),
+      name: name,
+      createdAt: new Date().toISOString(),
+    };
+
+    this.saveProfiles([...this.getProfiles(), profile]);
+    return profile;
+  },
+
+  /**
+   * Rename a learner profile
+   * @param {string} profileId
+   * @param {string} name
+   */
+  renameProfile(profileId, name) {
+    this.saveProfiles(this.getProfiles().map(p => (p.id === profileId ? { ...p, name } : p)));
+  },
+
+  /**
+   * Delete a learner profile and all of its progress
+   * @param {string} profileId
+   * @returns {boolean} - false if it is the last profile
+   */
+  deleteProfile(profileId) {
+    const profiles = this.getProfiles();
+    if (profiles.length <= 1) return false;
+
+    this.PROFILE_KEYS.forEach(name => {
+      localStorage.removeItem(`${this.KEYS[name]}:${profileId}`);
+    });
+
+    delete this.data.progress[profileId];
+    this.deleteRecord(`${this.KEYS.STREAK_DATA}:${profileId}`);
+    this.persist(
+      () => LocalDatabase.delete('progress', this.getProgressRange(profileId)),
+      `${this.KEYS.LEARNED_LOG}:${profileId}`,
+      null
+    );
+
+    const remaining = profiles.filter(p => p.id !== profileId);
+    this.saveProfiles(remaining);
+
+    if (this.getActiveProfileId() === profileId) {
+      localStorage.setItem(this.KEYS.ACTIVE_PROFILE, remaining[0].id);
+    }
+    return true;
+  },
+
+  // --------------------------------------------------------------------------
+  // UTILITY METHODS
+  // --------------------------------------------------------------------------
+  
+  /**
+   * Clear all stored data
+   * @returns {Promise<void>}
+   */
+  async clearAll() {
+    const profiles = this.getProfiles();
+
+    Object.entries(this.KEYS).forEach(([name, key]) => {
+      if (this.PROFILE_KEYS.includes(name)) {
+        profiles.forEach(profile => localStorage.removeItem(`${key}:${profile.id}`));
+      }
+      localStorage.removeItem(key);
+    });
     sessionStorage.clear();
+    this.lockVault();
+
+    this.data = { words: [], progress: {}, syncQueue: [], records: {} };
+    if (this.useDatabase) {
+      await LocalDatabase.clear();
+    }
+  },
+
+  /**
+   * Encode bytes as base64
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  },
+
+  /**
+   * Decode base64 into bytes
+   * @param {string} base64
+   * @returns {Uint8Array}
+   */
+  base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
   },
 
   /**
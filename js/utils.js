@@ -0,0 +1,60 @@
+/**
+ * ==========================================================================
+ * SHARED UTILITIES
+ * Small helpers used by the learner app, the study modes and the admin panel
+ * ==========================================================================
+ */
+
+const Utils = {
+    // --------------------------------------------------------------------------
+    // HTML
+    // --------------------------------------------------------------------------
+
+    /**
+     * Escape HTML for safe insertion into templates
+     * @param {string} str
+     * @returns {string}
+     */
+    escapeHtml(str) {
+        if (!str) return '';
+        const div = document.createElement('div');
+        div.textContent = str;
+        // Also safe inside attribute values
+        return div.innerHTML.replace(/"/g, '&quot;');
+    },
+
+    /**
+     * Render missed words for a study mode's results list
+     * @param {Array} words
+     * @returns {string} - HTML list items
+     */
+    renderMissedList(words) {
+        return words.map(word => `
+            <li>
+                <span class="quiz-missed-word">${this.escapeHtml(word.english)}</span>
+                <span class="quiz-missed-meaning" lang="bn">${this.escapeHtml((word.banglaMeanings || []).filter(Boolean).join(', '))}</span>
+            </li>
+        `).join('');
+    },
+
+    // --------------------------------------------------------------------------
+    // ARRAYS
+    // --------------------------------------------------------------------------
+
+    /**
+     * Shuffle a copy of an array
+     * @param {Array} items
+     * @returns {Array}
+     */
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    },
+};
+
+// Export for use in other modules
+window.Utils = Utils;